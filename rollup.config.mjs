@@ -23,15 +23,15 @@ export default [
             dest: 'dist',
           },
           {
-            src: 'src/bg/background.js',
+            src: 'src/ui/sidepanel.html',
             dest: 'dist',
           },
           {
-            src: 'src/ui/sidepanel.html',
+            src: 'src/ui/sidepanel.css',
             dest: 'dist',
           },
           {
-            src: 'src/ui/sidepanel.css',
+            src: 'src/ui/options.html',
             dest: 'dist',
           },
           // Remove any reference to copying 'ui' folder
@@ -39,4 +39,30 @@ export default [
       }),
     ],
   },
+  {
+    input: 'src/ui/options.js',
+    output: {
+      file: 'dist/options.js',
+      format: 'iife',
+    },
+    plugins: [
+      nodeResolve({
+        browser: true,
+      }),
+      commonjs(),
+    ],
+  },
+  {
+    // Bundled (not copied) so it can share modules in src/shared with the UI
+    input: 'src/bg/background.js',
+    output: {
+      file: 'dist/background.js',
+      format: 'es',
+    },
+    plugins: [
+      nodeResolve({
+        browser: true,
+      }),
+    ],
+  },
 ];
@@ -0,0 +1,240 @@
+// Auto-file Module
+// Opt-in background filing of newly opened tabs into the matching Tab Tidy group
+
+import { getSettings } from '../shared/settings.js';
+import { getTaxonomy, getTaxonomyVersion, getGroupStyle } from '../shared/taxonomy.js';
+import { getRules, compileRules, matchRule } from '../shared/classificationRules.js';
+import {
+  getCacheKey,
+  loadClassificationCache,
+  getCachedClassification,
+  setCachedClassification,
+  updateClassificationCache,
+} from '../shared/classificationCache.js';
+import { readTidyGroupIds } from '../shared/tidyGroups.js';
+import { getAutoFiled, recordAutoFiled, removeAutoFiled } from '../shared/autoFiled.js';
+import { classifyTab, createClassificationSession, CLASSIFICATION_VERSION } from '../shared/tabClassifier.js';
+
+// Tabs opened since auto-filing was enabled that haven't been filed yet
+// Kept in session storage so they survive the service worker being suspended
+const PENDING_KEY = 'autoFilePending';
+
+// Debounce timers by tab ID
+const timers = new Map();
+
+// Classification session, created on first use when the model is already downloaded
+// Its system prompt lists the categories, so it is recreated when the taxonomy changes
+let modelSession = null;
+let modelSessionVersion = null;
+
+// Changes to the pending list run one after another; tabs opened in a burst would
+// otherwise read the same list and overwrite each other's additions
+let pendingQueue = Promise.resolve();
+
+async function readPending() {
+  await pendingQueue;
+  const stored = await chrome.storage.session.get(PENDING_KEY);
+  return stored[PENDING_KEY] || [];
+}
+
+function setPending(tabId, pending) {
+  const update = pendingQueue.then(async () => {
+    const stored = await chrome.storage.session.get(PENDING_KEY);
+    const current = stored[PENDING_KEY] || [];
+    if (current.includes(tabId) === pending) return;
+    const ids = current.filter((id) => id !== tabId);
+    if (pending) ids.push(tabId);
+    await chrome.storage.session.set({ [PENDING_KEY]: ids });
+  });
+  pendingQueue = update.catch(() => {});
+  return update;
+}
+
+// "example.com" excludes the host itself and its subdomains
+function isExcluded(host, excludeSites) {
+  return excludeSites.some((site) => host === site || host.endsWith(`.${site}`));
+}
+
+async function getModelSession(taxonomy) {
+  const taxonomyVersion = getTaxonomyVersion(taxonomy);
+  if (modelSession && modelSessionVersion === taxonomyVersion) return modelSession;
+  if (!('LanguageModel' in globalThis)) return null;
+
+  // Never start a model download from the background
+  const availability = await LanguageModel.availability({
+    expectedInputs: [{ type: 'text', languages: ['en'] }],
+    expectedOutputs: [{ type: 'text', languages: ['en'] }],
+  });
+  if (availability !== 'available') return null;
+
+  modelSession?.destroy();
+  modelSession = await createClassificationSession(taxonomy);
+  modelSessionVersion = taxonomyVersion;
+  return modelSession;
+}
+
+/**
+ * Classifies a tab the same way a tidy does: rules first, then the cache, then the model
+ * @param {chrome.tabs.Tab} tab - Tab to classify
+ * @param {Array} taxonomy - Categories
+ * @param {Object} settings - Settings from getSettings
+ * @returns {Promise<{category: string, source: string}|null>} Category, or null if it couldn't be decided
+ */
+async function classifyNewTab(tab, taxonomy, settings) {
+  const ruleMatch = matchRule(tab, compileRules(await getRules(), taxonomy));
+  if (ruleMatch) return { category: ruleMatch.category, source: 'rule' };
+
+  const version = `${CLASSIFICATION_VERSION}:${getTaxonomyVersion(taxonomy)}`;
+  const cache = await loadClassificationCache();
+  const cacheKey = getCacheKey(tab.url, tab.title, settings.dedupe.siteRules);
+  const cached = getCachedClassification(cache, cacheKey, version);
+  if (cached) {
+    // Only this entry is written back, so the side panel's newer entries aren't overwritten
+    await updateClassificationCache((stored) => {
+      if (stored[cacheKey]) stored[cacheKey].lastUsed = Date.now();
+    });
+    return { category: cached.label, source: 'cache' };
+  }
+
+  const baseSession = await getModelSession(taxonomy);
+  if (!baseSession) return null;
+
+  // A fresh clone per tab keeps earlier tabs out of the context
+  const session = await baseSession.clone();
+  let cls;
+  try {
+    const tabMeta = { title: tab.title || '', host: new URL(tab.url).hostname, body: '' };
+    cls = await classifyTab(session, tabMeta, 1, 1, () => {}, taxonomy);
+  } finally {
+    session.destroy();
+  }
+  if (cls.fallback) return null;
+
+  await updateClassificationCache((stored) => {
+    setCachedClassification(stored, cacheKey, { label: cls.label, topic: cls.topic }, version);
+  });
+  return { category: cls.label, source: 'model' };
+}
+
+/**
+ * Moves a freshly loaded tab into the Tab Tidy group for its category in the same window
+ * Tabs that are pinned, already grouped, excluded or can't be classified are left alone
+ * @param {number} tabId - Tab to file
+ */
+async function fileTab(tabId) {
+  await setPending(tabId, false);
+
+  const settings = await getSettings();
+  if (!settings.autoFile.enabled) return;
+
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch {
+    return; // Closed while waiting
+  }
+  if (!/^https?:/.test(tab.url || '') || tab.pinned) return;
+  if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+
+  const host = new URL(tab.url).hostname.toLowerCase();
+  if (isExcluded(host, settings.autoFile.excludeSites)) return;
+
+  const taxonomy = await getTaxonomy();
+  const result = await classifyNewTab(tab, taxonomy, settings);
+  if (!result) return;
+
+  // Only groups Tab Tidy made are candidates; the user's own groups are never touched
+  const tidyGroupIds = await readTidyGroupIds();
+  const { title } = getGroupStyle(result.category, taxonomy);
+  const wanted = [title, result.category].map((t) => t.toLowerCase());
+  const group = (await chrome.tabGroups.query({ windowId: tab.windowId })).find(
+    (g) => tidyGroupIds.has(g.id) && wanted.includes((g.title || '').trim().toLowerCase()),
+  );
+  if (!group) return;
+
+  await chrome.tabs.group({ groupId: group.id, tabIds: tab.id });
+  await recordAutoFiled({
+    tabId: tab.id,
+    title: tab.title || tab.url,
+    url: tab.url,
+    groupId: group.id,
+    groupTitle: group.title,
+    category: result.category,
+    source: result.source,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * chrome.tabs.onCreated listener: remembers new tabs so they're filed once loaded
+ * @param {chrome.tabs.Tab} tab - Created tab
+ */
+export async function handleTabCreated(tab) {
+  const { autoFile } = await getSettings();
+  if (autoFile.enabled) await setPending(tab.id, true);
+}
+
+/**
+ * chrome.tabs.onUpdated listener: files a pending tab once it has stopped loading
+ * @param {number} tabId - Updated tab
+ * @param {Object} changeInfo - What changed
+ */
+export async function handleTabUpdated(tabId, changeInfo) {
+  if (changeInfo.status !== 'complete') return;
+  if (!(await readPending()).includes(tabId)) return;
+
+  const { autoFile } = await getSettings();
+  clearTimeout(timers.get(tabId));
+  timers.set(
+    tabId,
+    setTimeout(() => {
+      timers.delete(tabId);
+      fileTab(tabId).catch((error) => console.error('Auto-file failed:', error));
+    }, autoFile.debounceMs),
+  );
+}
+
+/**
+ * chrome.tabs.onRemoved listener: drops any pending work for a closed tab
+ * @param {number} tabId - Removed tab
+ */
+export async function handleTabRemoved(tabId) {
+  clearTimeout(timers.get(tabId));
+  timers.delete(tabId);
+  await setPending(tabId, false);
+  if ((await getAutoFiled()).some((e) => e.tabId === tabId)) {
+    await removeAutoFiled(tabId);
+  }
+}
+
+/**
+ * Takes an auto-filed tab back out of the group it was moved into
+ * @param {number} tabId - Tab to restore
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+export async function handleUndoAutoFile(tabId, sendResponse) {
+  try {
+    const entry = (await getAutoFiled()).find((e) => e.tabId === tabId);
+    if (!entry) {
+      sendResponse({ ok: false, error: 'Nothing to undo for this tab' });
+      return;
+    }
+
+    let ungrouped = false;
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      // Leave it alone if the user has since moved it somewhere else
+      if (tab.groupId === entry.groupId) {
+        await chrome.tabs.ungroup(tabId);
+        ungrouped = true;
+      }
+    } catch {
+      // Tab was closed; just forget the entry
+    }
+
+    await removeAutoFiled(tabId);
+    sendResponse({ ok: true, ungrouped });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
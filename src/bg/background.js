@@ -1,3 +1,9 @@
+import { canonicalizeUrl } from '../shared/canonicalUrl.js';
+import { getSettings } from '../shared/settings.js';
+import { getTaxonomy, getGroupStyle } from '../shared/taxonomy.js';
+import { readTidyGroupIds, rememberTidyGroups } from '../shared/tidyGroups.js';
+import { handleTabCreated, handleTabUpdated, handleTabRemoved, handleUndoAutoFile } from './autoFile.js';
+
 chrome.runtime.onInstalled.addListener(({ reason }) => {
   if (reason === 'install') {
     chrome.sidePanel
@@ -6,29 +12,38 @@ chrome.runtime.onInstalled.addListener(({ reason }) => {
   }
 });
 
+// Opt-in auto-filing of new tabs into Tab Tidy groups, see autoFile.js
+chrome.tabs.onCreated.addListener(handleTabCreated);
+chrome.tabs.onUpdated.addListener(handleTabUpdated);
+chrome.tabs.onRemoved.addListener(handleTabRemoved);
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'GET_TABS') {
-    handleGetTabs(sendResponse);
+    handleGetTabs(request.windowId, sendResponse);
     return true;
   }
 
   if (request.type === 'DEDUPLICATE_TABS') {
-    handleDeduplicateTabs(sendResponse);
+    handleDeduplicateTabs(request, sendResponse);
     return true;
   }
 
   if (request.type === 'GROUP_TABS') {
-    handleGroupTabs(request.groups, sendResponse);
+    handleGroupTabs(
+      request.groups,
+      { scope: request.scope, windowId: request.windowId, joinExisting: request.joinExisting },
+      sendResponse,
+    );
     return true;
   }
 
   if (request.type === 'EXTRACT_TAB_CONTENT') {
-    handleExtractTabContent(request.tabId, sendResponse);
+    handleExtractTabContent(request.tabId, request.maxChars, sendResponse);
     return true;
   }
 
   if (request.type === 'UNGROUP_ALL') {
-    handleUngroupAll(sendResponse);
+    handleUngroupAll(request.windowId, request.keepGroupIds, sendResponse);
     return true;
   }
 
@@ -43,26 +58,302 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.type === 'GET_EXISTING_GROUPS') {
-    handleGetExistingGroups(sendResponse);
+    handleGetExistingGroups(request.windowId, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'SNAPSHOT_WINDOWS') {
+    handleSnapshotWindows(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'GET_TIDY_SNAPSHOTS') {
+    handleGetTidySnapshots(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'UNDO_LAST_TIDY') {
+    handleUndoLastTidy(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'OPEN_WORKSPACE') {
+    handleOpenWorkspace(request.workspace, { target: request.target, windowId: request.windowId }, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'ARCHIVE_GROUPS') {
+    handleArchiveGroups(request, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'GET_ARCHIVES') {
+    handleGetArchives(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'RESTORE_ARCHIVE') {
+    handleRestoreArchive(request.folderId, request.windowId, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'STALE_TABS_ACTION') {
+    handleStaleTabsAction(request, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'UNDO_AUTO_FILE') {
+    handleUndoAutoFile(request.tabId, sendResponse);
     return true;
   }
 });
 
+// Number of pre-tidy snapshots kept in chrome.storage.local
+const MAX_SNAPSHOTS = 5;
+const SNAPSHOTS_KEY = 'tidySnapshots';
+
+async function readSnapshots() {
+  const stored = await chrome.storage.local.get(SNAPSHOTS_KEY);
+  return stored[SNAPSHOTS_KEY] || [];
+}
+
 /**
- * Retrieves all existing tab groups with their tabs
+ * Records every normal window's tabs and groups so a tidy can be undone
  * @param {Function} sendResponse - Callback to send response back to caller
  */
-async function handleGetExistingGroups(sendResponse) {
+async function handleSnapshotWindows(sendResponse) {
   try {
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
     const tabGroups = await chrome.tabGroups.query({});
+
+    const snapshot = {
+      createdAt: Date.now(),
+      windows: windows.map((win) => ({
+        windowId: win.id,
+        tabs: win.tabs.map((tab) => ({
+          id: tab.id,
+          url: tab.url || tab.pendingUrl || '',
+          index: tab.index,
+          pinned: tab.pinned,
+          groupId: tab.groupId,
+        })),
+        groups: tabGroups
+          .filter((group) => group.windowId === win.id)
+          .map((group) => ({
+            id: group.id,
+            title: group.title || '',
+            color: group.color,
+            collapsed: group.collapsed,
+          })),
+      })),
+    };
+
+    const snapshots = [snapshot, ...(await readSnapshots())].slice(0, MAX_SNAPSHOTS);
+    await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots });
+
+    sendResponse({ ok: true, count: snapshots.length });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Notes on the newest snapshot which tabs the tidy grouped, and into which group,
+ * so undo only ungroups those and leaves groups made since alone
+ * @param {Array<{tabId: number, groupId: number}>} groupedTabs - Tabs grouped by the tidy
+ */
+async function recordTidyGrouping(groupedTabs) {
+  const [latest, ...rest] = await readSnapshots();
+  if (!latest) return;
+  latest.grouped = [...(latest.grouped || []), ...groupedTabs];
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: [latest, ...rest] });
+}
+
+/**
+ * Lists stored snapshots (newest first) without their tab details
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleGetTidySnapshots(sendResponse) {
+  try {
+    const snapshots = await readSnapshots();
+    sendResponse({
+      ok: true,
+      snapshots: snapshots.map((s) => ({
+        createdAt: s.createdAt,
+        tabCount: s.windows.reduce((sum, w) => sum + w.tabs.length, 0),
+      })),
+    });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Restores the most recent snapshot: reopens closed tabs, restores order,
+ * pinned state and the previous groups, then drops the snapshot
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleUndoLastTidy(sendResponse) {
+  try {
+    const [snapshot, ...rest] = await readSnapshots();
+    if (!snapshot) {
+      sendResponse({ ok: false, error: 'Nothing to undo' });
+      return;
+    }
+
+    const openWindows = await chrome.windows.getAll({ populate: true });
+    let reopened = 0;
+    let regrouped = 0;
+
+    for (const savedWindow of snapshot.windows) {
+      const restorable = savedWindow.tabs.filter((tab) => tab.url);
+      if (restorable.length === 0) continue;
+
+      let targetWindow = openWindows.find((w) => w.id === savedWindow.windowId);
+      const windowTabs = targetWindow ? targetWindow.tabs : [];
+      const allTabs = openWindows.flatMap((w) => w.tabs);
+
+      // Match saved tabs to open ones by ID first (in any window, since a consolidating
+      // tidy moves tabs between windows), then by URL within the window
+      const used = new Set();
+      const idMap = new Map();
+      for (const saved of restorable) {
+        const match = allTabs.find((t) => t.id === saved.id && t.url === saved.url);
+        if (match) {
+          idMap.set(saved.id, match.id);
+          used.add(match.id);
+        }
+      }
+      for (const saved of restorable) {
+        if (idMap.has(saved.id)) continue;
+        const match = windowTabs.find((t) => !used.has(t.id) && t.url === saved.url);
+        if (match) {
+          idMap.set(saved.id, match.id);
+          used.add(match.id);
+        }
+      }
+
+      // Recreate the window if it's gone (e.g. emptied by consolidating)
+      if (!targetWindow) {
+        const [first] = restorable;
+        if (idMap.has(first.id)) {
+          targetWindow = await chrome.windows.create({ tabId: idMap.get(first.id), focused: false });
+        } else {
+          targetWindow = await chrome.windows.create({ url: first.url, focused: false });
+          const [created] = await chrome.tabs.query({ windowId: targetWindow.id });
+          idMap.set(first.id, created.id);
+          reopened++;
+        }
+      }
+
+      // Reopen everything that was closed
+      for (const saved of restorable) {
+        if (idMap.has(saved.id)) continue;
+        const created = await chrome.tabs.create({
+          windowId: targetWindow.id,
+          url: saved.url,
+          active: false,
+        });
+        idMap.set(saved.id, created.id);
+        reopened++;
+      }
+
+      // Bring back tabs that were moved to another window
+      for (const saved of restorable) {
+        const tabId = idMap.get(saved.id);
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.windowId !== targetWindow.id) {
+          await chrome.tabs.move(tabId, { windowId: targetWindow.id, index: -1 });
+        }
+      }
+
+      // Take tabs out of the groups the tidy put them in. Tabs the user has regrouped since,
+      // and groups created after the tidy, are left alone. Snapshots from before the tidy's
+      // grouping was recorded fall back to tabs whose group changed since the snapshot
+      const currentTabs = await chrome.tabs.query({ windowId: targetWindow.id });
+      const savedGroupById = new Map(restorable.map((saved) => [idMap.get(saved.id), saved.groupId]));
+      const tidyGroupOf = new Map((snapshot.grouped || []).map((g) => [g.tabId, g.groupId]));
+      const groupedIds = currentTabs
+        .filter((t) => t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE)
+        .filter((t) =>
+          snapshot.grouped
+            ? tidyGroupOf.get(t.id) === t.groupId
+            : savedGroupById.has(t.id) && savedGroupById.get(t.id) !== t.groupId,
+        )
+        .map((t) => t.id);
+      if (groupedIds.length > 0) {
+        await chrome.tabs.ungroup(groupedIds);
+      }
+
+      // Restore pinned state and original order
+      const ordered = [...restorable].sort((a, b) => a.index - b.index);
+      for (const saved of ordered) {
+        const tabId = idMap.get(saved.id);
+        await chrome.tabs.update(tabId, { pinned: saved.pinned });
+      }
+      for (const saved of ordered) {
+        const tabId = idMap.get(saved.id);
+        try {
+          await chrome.tabs.move(tabId, { index: saved.index });
+        } catch (e) {
+          // Pinned/unpinned boundaries can reject an index; keep going
+        }
+      }
+
+      // Rebuild the previous groups
+      for (const group of savedWindow.groups) {
+        const tabIds = restorable
+          .filter((t) => t.groupId === group.id)
+          .map((t) => idMap.get(t.id))
+          .filter(Boolean);
+        if (tabIds.length === 0) continue;
+
+        // A group the tidy left in place is refilled rather than split into a copy
+        const stillOpen = await chrome.tabGroups.get(group.id).catch(() => null);
+        const groupId = await chrome.tabs.group(
+          stillOpen?.windowId === targetWindow.id
+            ? { groupId: group.id, tabIds }
+            : { tabIds, createProperties: { windowId: targetWindow.id } },
+        );
+        await chrome.tabGroups.update(groupId, {
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed,
+        });
+        regrouped++;
+      }
+    }
+
+    await chrome.storage.local.set({ [SNAPSHOTS_KEY]: rest });
+
+    sendResponse({ ok: true, reopened, regrouped, remaining: rest.length });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Retrieves all existing tab groups with their tabs, flagging the ones Tab Tidy created
+ * Groups and tabs are returned in tab strip order
+ * @param {number} [windowId] - Only return groups in this window
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleGetExistingGroups(windowId, sendResponse) {
+  try {
+    const tabGroups = await chrome.tabGroups.query(windowId ? { windowId } : {});
+    const tidyGroupIds = await readTidyGroupIds();
     const groups = [];
 
     for (const group of tabGroups) {
-      const tabs = await chrome.tabs.query({ groupId: group.id });
+      const tabs = (await chrome.tabs.query({ groupId: group.id })).sort((a, b) => a.index - b.index);
       groups.push({
         id: group.id,
         title: group.title || 'Untitled Group',
         color: group.color,
+        collapsed: group.collapsed,
+        windowId: group.windowId,
+        index: tabs[0]?.index ?? 0,
+        createdByTidy: tidyGroupIds.has(group.id),
         tabs: tabs.map((tab) => ({
           id: tab.id,
           title: tab.title,
@@ -71,12 +362,254 @@ async function handleGetExistingGroups(sendResponse) {
       });
     }
 
+    groups.sort((a, b) => a.windowId - b.windowId || a.index - b.index);
     sendResponse({ ok: true, groups });
   } catch (error) {
     sendResponse({ ok: false, error: error.message });
   }
 }
 
+/**
+ * Reopens a saved workspace: every tab, then its groups with their title, colour and order
+ * @param {Object} workspace - Workspace from workspaces.js
+ * @param {Object} options - Where to open it
+ * @param {'new'|'current'} [options.target] - A new window, or append to an existing one
+ * @param {number} [options.windowId] - Window to use when target is 'current'
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleOpenWorkspace(workspace, { target = 'new', windowId } = {}, sendResponse) {
+  try {
+    let targetWindowId = windowId;
+    let placeholderTabId = null;
+
+    if (target === 'new' || !targetWindowId) {
+      // A new window always starts with one tab; it is closed once the workspace is open
+      const created = await chrome.windows.create({ focused: true });
+      targetWindowId = created.id;
+      placeholderTabId = created.tabs?.[0]?.id ?? null;
+    }
+
+    let opened = 0;
+    let regrouped = 0;
+
+    for (const group of workspace.groups) {
+      const tabIds = [];
+      for (const tab of group.tabs) {
+        const created = await chrome.tabs.create({ windowId: targetWindowId, url: tab.url, active: false });
+        tabIds.push(created.id);
+        opened++;
+      }
+      if (tabIds.length === 0) continue;
+
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: targetWindowId } });
+      await chrome.tabGroups.update(groupId, {
+        title: group.title,
+        collapsed: Boolean(group.collapsed),
+        ...(group.color ? { color: group.color } : {}),
+      });
+      regrouped++;
+    }
+
+    // Tabs added to the workspace outside any group
+    for (const tab of workspace.tabs || []) {
+      await chrome.tabs.create({ windowId: targetWindowId, url: tab.url, active: false });
+      opened++;
+    }
+
+    if (placeholderTabId !== null && opened > 0) {
+      await chrome.tabs.remove(placeholderTabId);
+    }
+
+    sendResponse({ ok: true, windowId: targetWindowId, opened, regrouped });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+// Archive folders are named "<group title> — YYYY-MM-DD"
+const ARCHIVE_DATE_SUFFIX = / — \d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Finds the archive parent bookmark folder, creating it under "Other bookmarks" if needed
+ * @param {boolean} create - Create the folder when it doesn't exist
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>} Folder
+ */
+async function getArchiveFolder(create) {
+  const { archive } = await getSettings();
+  const matches = await chrome.bookmarks.search({ title: archive.folderName });
+  const folder = matches.find((node) => !node.url);
+  if (folder || !create) return folder || null;
+  return chrome.bookmarks.create({ title: archive.folderName });
+}
+
+/**
+ * Bookmarks tab groups into dated folders under the archive folder, then closes their tabs
+ * @param {Object} request - Message payload
+ * @param {Array<number>} [request.groupIds] - Groups to archive; every group if omitted
+ * @param {number} [request.windowId] - Only archive groups in this window
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleArchiveGroups({ groupIds, windowId }, sendResponse) {
+  try {
+    const tabGroups = (await chrome.tabGroups.query(windowId ? { windowId } : {})).filter(
+      (group) => !Array.isArray(groupIds) || groupIds.includes(group.id),
+    );
+
+    // Same-titled groups share a folder
+    const byTitle = new Map();
+    for (const group of tabGroups) {
+      const tabs = (await chrome.tabs.query({ groupId: group.id })).sort((a, b) => a.index - b.index);
+      const title = group.title || 'Untitled Group';
+      if (!byTitle.has(title)) byTitle.set(title, []);
+      byTitle.get(title).push(...tabs);
+    }
+
+    if (byTitle.size === 0) {
+      sendResponse({ ok: true, archived: [] });
+      return;
+    }
+
+    const parent = await getArchiveFolder(true);
+    const date = new Date().toISOString().slice(0, 10);
+    const archived = [];
+
+    for (const [title, tabs] of byTitle) {
+      const folder = await chrome.bookmarks.create({ parentId: parent.id, title: `${title} — ${date}` });
+      for (const tab of tabs) {
+        await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+      }
+      // Only close tabs once their bookmarks exist
+      await chrome.tabs.remove(tabs.map((tab) => tab.id));
+      archived.push({ title, folderId: folder.id, count: tabs.length });
+    }
+
+    sendResponse({ ok: true, archived });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Lists archived group folders, newest first
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleGetArchives(sendResponse) {
+  try {
+    const parent = await getArchiveFolder(false);
+    if (!parent) {
+      sendResponse({ ok: true, archives: [] });
+      return;
+    }
+
+    const [tree] = await chrome.bookmarks.getSubTree(parent.id);
+    const archives = (tree.children || [])
+      .filter((node) => !node.url)
+      .map((node) => ({
+        id: node.id,
+        title: node.title,
+        dateAdded: node.dateAdded,
+        count: (node.children || []).filter((child) => child.url).length,
+      }))
+      .sort((a, b) => b.dateAdded - a.dateAdded);
+
+    sendResponse({ ok: true, archives });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Reopens an archived folder as a tab group in the given window; the bookmarks are kept
+ * @param {string} folderId - Archive folder bookmark ID
+ * @param {number} windowId - Window to open the tabs in
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleRestoreArchive(folderId, windowId, sendResponse) {
+  try {
+    const [folder] = await chrome.bookmarks.getSubTree(folderId);
+    const tabs = (folder.children || [])
+      .filter((node) => node.url)
+      .map((node) => ({ title: node.title, url: node.url }));
+    if (tabs.length === 0) {
+      sendResponse({ ok: false, error: 'The archive folder has no bookmarks' });
+      return;
+    }
+
+    // Bookmarks don't keep a colour; reuse the category's when the title matches one
+    const title = folder.title.replace(ARCHIVE_DATE_SUFFIX, '');
+    const taxonomy = await getTaxonomy();
+    const category = taxonomy.find((c) => getGroupStyle(c.name, taxonomy).title === title);
+    const workspace = { groups: [{ title, color: category?.color, tabs }], tabs: [] };
+    await handleOpenWorkspace(workspace, { target: 'current', windowId }, sendResponse);
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * Runs a bulk action on stale tabs
+ * @param {Object} request - Message payload
+ * @param {'close'|'discard'|'bookmark'|'archive'} request.action - What to do
+ * @param {Array<number>} request.tabIds - Tabs to act on
+ * @param {string} [request.groupTitle] - Group the 'archive' action moves tabs into
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleStaleTabsAction({ action, tabIds, groupTitle = 'Archive' }, sendResponse) {
+  try {
+    const openTabs = await chrome.tabs.query({});
+    const tabs = openTabs.filter((tab) => tabIds.includes(tab.id));
+    let affected = 0;
+
+    if (action === 'close') {
+      await chrome.tabs.remove(tabs.map((tab) => tab.id));
+      affected = tabs.length;
+    } else if (action === 'discard') {
+      // The active tab can't be discarded, and discarded ones are already unloaded
+      for (const tab of tabs.filter((t) => !t.active && !t.discarded)) {
+        if (await chrome.tabs.discard(tab.id)) affected++;
+      }
+    } else if (action === 'bookmark') {
+      const parent = await getArchiveFolder(true);
+      const folder = await chrome.bookmarks.create({
+        parentId: parent.id,
+        title: `Stale tabs — ${new Date().toISOString().slice(0, 10)}`,
+      });
+      for (const tab of tabs) {
+        await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+        affected++;
+      }
+    } else if (action === 'archive') {
+      const byWindow = new Map();
+      tabs.forEach((tab) => {
+        if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+        byWindow.get(tab.windowId).push(tab);
+      });
+
+      // The Archive group isn't recorded as a Tab Tidy group, so a later tidy or
+      // "Ungroup All" leaves it and its tabs alone
+      for (const [windowId, windowTabs] of byWindow) {
+        const existing = (await chrome.tabGroups.query({ windowId, title: groupTitle }))[0];
+        const toMove = windowTabs.filter((tab) => tab.groupId !== existing?.id).map((tab) => tab.id);
+        if (toMove.length === 0) continue;
+
+        if (existing) {
+          await chrome.tabs.group({ groupId: existing.id, tabIds: toMove });
+        } else {
+          const groupId = await chrome.tabs.group({ tabIds: toMove, createProperties: { windowId } });
+          await chrome.tabGroups.update(groupId, { title: groupTitle, color: 'grey', collapsed: true });
+        }
+        affected += toMove.length;
+      }
+    } else {
+      throw new Error(`Unknown action: ${action}`);
+    }
+
+    sendResponse({ ok: true, affected });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+}
+
 /**
  * Checks if any tab groups currently exist
  * @param {Function} sendResponse - Callback to send response back to caller
@@ -90,12 +623,18 @@ async function handleCheckGroups(sendResponse) {
   }
 }
 
-async function handleUngroupAll(sendResponse) {
+/**
+ * Ungroups every tab group
+ * @param {number} [windowId] - Only ungroup groups in this window
+ * @param {Array<number>} [keepGroupIds] - Groups to leave as they are, e.g. the stale-tabs Archive group
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleUngroupAll(windowId, keepGroupIds = [], sendResponse) {
   try {
-    const tabGroups = await chrome.tabGroups.query({});
+    const tabGroups = await chrome.tabGroups.query(windowId ? { windowId } : {});
     let totalUngrouped = 0;
 
-    for (const group of tabGroups) {
+    for (const group of tabGroups.filter((g) => !keepGroupIds.includes(g.id))) {
       const tabs = await chrome.tabs.query({ groupId: group.id });
       const tabIds = tabs.map((tab) => tab.id);
       await chrome.tabs.ungroup(tabIds);
@@ -129,9 +668,14 @@ async function handleUngroupCategory(categoryName, sendResponse) {
   }
 }
 
-async function handleGetTabs(sendResponse) {
+/**
+ * Lists web tabs
+ * @param {number} [windowId] - Only list tabs in this window
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleGetTabs(windowId, sendResponse) {
   try {
-    const tabs = await chrome.tabs.query({});
+    const tabs = await chrome.tabs.query(windowId ? { windowId } : {});
     const validTabs = tabs.filter(
       (tab) =>
         tab.url &&
@@ -146,9 +690,41 @@ async function handleGetTabs(sendResponse) {
   }
 }
 
-async function handleDeduplicateTabs(sendResponse) {
+/**
+ * Finds duplicate tabs by canonical URL and either reports or closes them
+ * The surviving copy is chosen by the keep-policy in settings
+ * @param {Object} request - Message payload
+ * @param {boolean} [request.dryRun] - Only report duplicates, don't close anything
+ * @param {Array<number>} [request.tabIds] - Close exactly these tabs instead of detecting duplicates
+ * @param {number} [request.windowId] - Only look for duplicates within this window
+ * @param {Function} sendResponse - Callback to send response back to caller
+ */
+async function handleDeduplicateTabs({ dryRun = false, tabIds, windowId } = {}, sendResponse) {
   try {
-    const tabs = await chrome.tabs.query({});
+    // An explicit list comes from an approved preview plan
+    if (Array.isArray(tabIds)) {
+      const openTabs = await chrome.tabs.query({});
+      const openById = new Map(openTabs.map((tab) => [tab.id, tab]));
+      const toClose = tabIds.filter((id) => openById.has(id));
+
+      if (toClose.length > 0) {
+        await chrome.tabs.remove(toClose);
+      }
+
+      sendResponse({
+        ok: true,
+        closed: toClose.length,
+        closedTabs: toClose.map((id) => ({
+          tabId: id,
+          title: openById.get(id).title,
+          url: openById.get(id).url,
+          reason: 'Approved as a duplicate in the preview',
+        })),
+      });
+      return;
+    }
+
+    const tabs = await chrome.tabs.query(windowId ? { windowId } : {});
     const validTabs = tabs.filter(
       (tab) =>
         tab.url &&
@@ -157,49 +733,124 @@ async function handleDeduplicateTabs(sendResponse) {
         !tab.url.includes('chrome-extension://'),
     );
 
-    const seen = new Map();
-    const toClose = [];
+    const { dedupe } = await getSettings();
+    const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
 
+    // Bucket tabs by canonical URL
+    const buckets = new Map();
     for (const tab of validTabs) {
-      try {
-        const host = new URL(tab.url).hostname;
-        const normalizedTitle = (tab.title || '').toLowerCase().trim();
-        const key = `${host}:${normalizedTitle}`;
-
-        if (seen.has(key)) {
-          toClose.push(tab.id);
-        } else {
-          seen.set(key, tab);
-        }
-      } catch (e) {
+      const key = canonicalizeUrl(tab.url, dedupe.siteRules);
+      if (!key) {
         console.log(`Skipping tab with invalid URL: ${tab.url}`);
+        continue;
       }
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(tab);
     }
 
+    const duplicates = [];
+    for (const [key, bucket] of buckets) {
+      if (bucket.length < 2) continue;
+
+      const { keep, reason } = pickTabToKeep(bucket, dedupe.keepPolicy, focusedWindow?.id);
+      for (const tab of bucket) {
+        if (tab.id === keep.id) continue;
+        duplicates.push({
+          tabId: tab.id,
+          title: tab.title,
+          url: tab.url,
+          keepTabId: keep.id,
+          keepTitle: keep.title || keep.url,
+          groupId: tab.groupId,
+          canonicalUrl: key,
+          reason: `Same page as "${keep.title || keep.url}" (${key}); ${reason}`,
+        });
+      }
+    }
+
+    if (dryRun) {
+      sendResponse({ ok: true, duplicates });
+      return;
+    }
+
+    const toClose = duplicates.map((d) => d.tabId);
     if (toClose.length > 0) {
       await chrome.tabs.remove(toClose);
     }
 
-    sendResponse({ ok: true, closed: toClose.length });
+    sendResponse({ ok: true, closed: toClose.length, closedTabs: duplicates });
   } catch (error) {
     sendResponse({ ok: false, error: error.message });
   }
 }
 
+// Criteria for choosing which duplicate survives; higher values win
+const KEEP_CRITERIA = {
+  pinned: { label: 'kept the pinned tab', value: (tab) => (tab.pinned ? 1 : 0) },
+  recent: { label: 'kept the most recently used tab', value: (tab) => tab.lastAccessed || 0 },
+  grouped: {
+    label: 'kept the tab that is in a group',
+    value: (tab) => (tab.groupId !== undefined && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE ? 1 : 0),
+  },
+  focused: {
+    label: 'kept the tab in the focused window',
+    value: (tab, focusedWindowId) => (tab.windowId === focusedWindowId ? 1 : 0),
+  },
+};
+
+/**
+ * Chooses which copy of a duplicate survives
+ * The policy's criterion decides first; ties fall back to pinned, then most recently used
+ * @param {Array} tabs - Tabs sharing one canonical URL
+ * @param {string} policy - Key of KEEP_CRITERIA
+ * @param {number} [focusedWindowId] - ID of the focused window, for the 'focused' policy
+ * @returns {{keep: Object, reason: string}} Surviving tab and a human-readable reason
+ */
+function pickTabToKeep(tabs, policy, focusedWindowId) {
+  const first = KEEP_CRITERIA[policy] ? policy : 'pinned';
+  const criteria = [...new Set([first, 'pinned', 'recent'])].map((key) => KEEP_CRITERIA[key]);
+  const compare = (a, b) => {
+    for (const criterion of criteria) {
+      const diff = criterion.value(b, focusedWindowId) - criterion.value(a, focusedWindowId);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  };
+
+  const [keep, runnerUp] = [...tabs].sort(compare);
+
+  // The reason is whichever criterion separated the kept tab from the next best copy
+  const decidedBy = criteria.find(
+    (criterion) => criterion.value(keep, focusedWindowId) !== criterion.value(runnerUp, focusedWindowId),
+  );
+  return { keep, reason: decidedBy ? decidedBy.label : 'copies were identical; kept the first' };
+}
+
 /**
  * Creates Chrome tab groups from provided group definitions
- * @param {Array} groups - Array of group objects with name and tabIds
+ * @param {Array} groups - Array of group objects with name, tabIds and optional title/color
+ * @param {Object} [options]
+ * @param {string} [options.scope='current'] - 'current' groups only tabs in the target window,
+ *   'each' groups every window separately, 'consolidate' moves tabs into the target window first
+ * @param {number} [options.windowId] - Target window; defaults to the last focused window
+ * @param {boolean} [options.joinExisting] - Add tabs to an existing group whose title matches
+ *   instead of creating a new one
  * @param {Function} sendResponse - Callback to send response back to caller
  */
-async function handleGroupTabs(groups, sendResponse) {
+async function handleGroupTabs(groups, { scope = 'current', windowId, joinExisting = false } = {}, sendResponse) {
   try {
-    // Get the last focused window (the one user is viewing)
-    const currentWindow = await chrome.windows.getLastFocused();
+    // Default to the last focused window (the one user is viewing)
+    const currentWindow = windowId
+      ? await chrome.windows.get(windowId)
+      : await chrome.windows.getLastFocused();
     if (currentWindow.type !== 'normal') {
       sendResponse({ ok: false, error: 'Extension must be used in a normal browser window' });
       return;
     }
     const results = [];
+    const createdGroupIds = [];
+    const groupedTabs = [];
+    const sameTitle = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
 
     for (const group of groups) {
       try {
@@ -212,46 +863,85 @@ async function handleGroupTabs(groups, sendResponse) {
           continue;
         }
 
-        const validTabIds = [];
+        // Bucket the group's tabs by the window they'll be grouped in
+        const tabsByWindow = new Map();
         for (const tabId of group.tabIds) {
           try {
             const tab = await chrome.tabs.get(tabId);
-            if (tab && tab.windowId === currentWindow.id) {
-              validTabIds.push(tabId);
-            }
+            if (!tab) continue;
+            if (scope === 'current' && tab.windowId !== currentWindow.id) continue;
+            const targetId = scope === 'each' ? tab.windowId : currentWindow.id;
+            if (!tabsByWindow.has(targetId)) tabsByWindow.set(targetId, []);
+            tabsByWindow.get(targetId).push(tab);
           } catch (e) {
             // Tab might have been closed, skip it
           }
         }
 
-        if (validTabIds.length === 0) {
+        if (tabsByWindow.size === 0) {
           results.push({
             name: group.name,
-            error: 'No valid tabs in current window',
+            error: scope === 'current' ? 'No valid tabs in current window' : 'No valid tabs',
             count: 0,
           });
           continue;
         }
 
-        // Small delay between group operations to prevent Chrome API throttling
-        await new Promise((resolve) => setTimeout(resolve, 50));
+        const windows = [];
+        let groupInfo = null;
 
-        const groupId = await chrome.tabs.group({
-          tabIds: validTabIds,
-        });
+        for (const [targetWindowId, tabs] of tabsByWindow) {
+          // Consolidate: bring tabs from other windows over first
+          const toMove = tabs.filter((tab) => tab.windowId !== targetWindowId).map((tab) => tab.id);
+          if (toMove.length > 0) {
+            await chrome.tabs.move(toMove, { windowId: targetWindowId, index: -1 });
+          }
 
-        await chrome.tabGroups.update(groupId, {
-          title: group.name,
-          collapsed: false,
-        });
+          // Small delay between group operations to prevent Chrome API throttling
+          await new Promise((resolve) => setTimeout(resolve, 50));
+
+          const tabIds = tabs.map((tab) => tab.id);
+          const existing = joinExisting
+            ? (await chrome.tabGroups.query({ windowId: targetWindowId })).find(
+                (g) => sameTitle(g.title, group.title || group.name) || sameTitle(g.title, group.name),
+              )
+            : null;
+
+          let groupId;
+          if (existing) {
+            groupId = await chrome.tabs.group({ groupId: existing.id, tabIds });
+          } else {
+            groupId = await chrome.tabs.group({
+              tabIds,
+              createProperties: { windowId: targetWindowId },
+            });
 
-        // Get the actual group info including color
-        const groupInfo = await chrome.tabGroups.get(groupId);
+            await chrome.tabGroups.update(groupId, {
+              title: group.title || group.name,
+              collapsed: false,
+              ...(group.color ? { color: group.color } : {}),
+            });
+            createdGroupIds.push(groupId);
+          }
+          tabIds.forEach((tabId) => groupedTabs.push({ tabId, groupId }));
+
+          // Get the actual group info including color
+          groupInfo = await chrome.tabGroups.get(groupId);
+          windows.push({
+            windowId: targetWindowId,
+            groupId,
+            count: tabs.length,
+            moved: toMove.length,
+            joined: Boolean(existing),
+          });
+        }
 
         results.push({
           name: group.name,
-          count: validTabIds.length,
+          title: groupInfo.title,
+          count: windows.reduce((sum, w) => sum + w.count, 0),
           color: groupInfo.color,
+          windows,
         });
       } catch (error) {
         console.log(`Error grouping ${group.name}:`, error);
@@ -263,18 +953,111 @@ async function handleGroupTabs(groups, sendResponse) {
       }
     }
 
-    sendResponse({ ok: true, results });
+    await rememberTidyGroups(createdGroupIds);
+    await recordTidyGrouping(groupedTabs);
+
+    // Put the new groups in order, window by window
+    const { organise } = await getSettings();
+    const entriesByWindow = new Map();
+    results.forEach((result, position) => {
+      (result.windows || []).forEach((w) => {
+        if (!entriesByWindow.has(w.windowId)) entriesByWindow.set(w.windowId, new Map());
+        const entries = entriesByWindow.get(w.windowId);
+        if (!entries.has(w.groupId)) {
+          entries.set(w.groupId, { groupId: w.groupId, name: result.name, position, created: !w.joined });
+        }
+      });
+    });
+    for (const [targetWindowId, entries] of entriesByWindow) {
+      try {
+        await arrangeWindow(targetWindowId, [...entries.values()], organise);
+      } catch (error) {
+        console.warn(`Could not arrange window ${targetWindowId}:`, error);
+      }
+    }
+
+    sendResponse({ ok: true, results, currentWindowId: currentWindow.id });
   } catch (error) {
     sendResponse({ ok: false, error: error.message });
   }
 }
 
+// Host without "www." so www.example.com and example.com sort together
+const sortHost = (tab) => {
+  try {
+    return new URL(tab.url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+const compareText = (a, b) => (a || '').localeCompare(b || '', undefined, { sensitivity: 'base' });
+
+const GROUP_SORTERS = {
+  taxonomy: (a, b) => a.position - b.position,
+  name: (a, b) => compareText(a.name, b.name) || a.position - b.position,
+  size: (a, b) => b.count - a.count || a.position - b.position,
+};
+
+const TAB_SORTERS = {
+  domain: (a, b) => compareText(sortHost(a), sortHost(b)) || compareText(a.title, b.title),
+  title: (a, b) => compareText(a.title, b.title),
+  recent: (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0),
+};
+
+/**
+ * Lays out a window after grouping: pinned tabs, then Tab Tidy's groups in sorted order
+ * The user's own groups (including ones this run added tabs to) are never moved or collapsed;
+ * they keep their order after Tab Tidy's groups. Tabs are only re-sorted inside groups this run created
+ * @param {number} windowId - Window to arrange
+ * @param {Array<{groupId: number, name: string, position: number, created: boolean}>} entries - Groups from this run
+ * @param {Object} order - Organise settings (groupOrder, tabOrder, collapseInactive)
+ */
+async function arrangeWindow(windowId, entries, { groupOrder, tabOrder, collapseInactive }) {
+  const tabs = await chrome.tabs.query({ windowId });
+  const tidyGroupIds = await readTidyGroupIds();
+  // Sizes include tabs that were already in a joined group, not just this run's
+  const counted = entries
+    .filter((entry) => tidyGroupIds.has(entry.groupId))
+    .map((entry) => ({
+      ...entry,
+      count: tabs.filter((tab) => tab.groupId === entry.groupId).length,
+    }));
+  const sorted = counted.sort(GROUP_SORTERS[groupOrder] || GROUP_SORTERS.taxonomy);
+  const ours = new Set(sorted.map((entry) => entry.groupId));
+  const created = new Set(sorted.filter((entry) => entry.created).map((entry) => entry.groupId));
+
+  // Pinned tabs always come first, so groups start right after them
+  let index = tabs.filter((tab) => tab.pinned).length;
+
+  for (const groupId of ours) {
+    const members = tabs.filter((tab) => tab.groupId === groupId);
+    await chrome.tabGroups.move(groupId, { index });
+
+    // Moves within the group's own span keep the tab in the group
+    if (created.has(groupId) && TAB_SORTERS[tabOrder]) {
+      const ordered = [...members].sort(TAB_SORTERS[tabOrder]);
+      for (let i = 0; i < ordered.length; i++) {
+        await chrome.tabs.move(ordered[i].id, { index: index + i });
+      }
+    }
+    index += members.length;
+  }
+
+  if (collapseInactive) {
+    const activeGroupId = tabs.find((tab) => tab.active)?.groupId;
+    for (const groupId of ours) {
+      await chrome.tabGroups.update(groupId, { collapsed: groupId !== activeGroupId });
+    }
+  }
+}
+
 /**
  * Extracts content from a specific tab using content script injection
  * @param {number} tabId - The ID of the tab to extract content from
+ * @param {number} [maxChars] - Character budget for the body text; defaults to the extraction setting
  * @param {Function} sendResponse - Callback to send response back to caller
  */
-async function handleExtractTabContent(tabId, sendResponse) {
+async function handleExtractTabContent(tabId, maxChars, sendResponse) {
   try {
     // First, check if the tab is accessible
     const tab = await chrome.tabs.get(tabId);
@@ -293,9 +1076,12 @@ async function handleExtractTabContent(tabId, sendResponse) {
       return;
     }
 
+    const budget = maxChars ?? (await getSettings()).extraction.maxChars;
+
     const results = await chrome.scripting.executeScript({
       target: { tabId: tabId },
       func: extractPageContent,
+      args: [budget],
     });
 
     if (results && results[0] && results[0].result) {
@@ -317,27 +1103,170 @@ async function handleExtractTabContent(tabId, sendResponse) {
 }
 
 /**
- * Extracts title, host, and body text from the current page
- * This function runs in the context of the target tab
- * @returns {{title: string, host: string, body: string}} Extracted page content
+ * Extracts the main content and page metadata from the current page
+ * Finds the article/main region, skips navigation, headers, footers, sidebars, cookie
+ * banners and hidden elements, and reads description, Open Graph/Twitter tags,
+ * canonical URL, language and headings.
+ * This function runs in the context of the target tab, so it must be self-contained
+ * @param {number} [maxChars=1500] - Character budget for the body text
+ * @returns {{title: string, host: string, url: string, body: string, truncated: boolean,
+ *   wordCount: number, description: string, canonicalUrl: string, lang: string,
+ *   headings: Array<string>, openGraph: Object, twitter: Object}} Extracted page content
  */
-function extractPageContent() {
-  try {
-    const title = document.title || '';
-    const host = window.location.hostname || '';
+function extractPageContent(maxChars = 1500) {
+  const title = document.title || '';
+  const host = window.location.hostname || '';
 
-    // Simple content extraction
-    let body = document.body ? document.body.innerText || document.body.textContent || '' : '';
+  const metaContent = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || '';
 
-    // Clean up and limit content (optimized for summaries)
-    body = body.replace(/\s+/g, ' ').trim().slice(0, 1500);
+  const JUNK_SELECTOR = [
+    'nav', 'header', 'footer', 'aside', 'script', 'style', 'noscript', 'template', 'form',
+    'iframe', 'svg', 'canvas', 'button', 'dialog', '[hidden]', '[aria-hidden="true"]',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[role="dialog"]', '[role="alert"]',
+  ].join(', ');
+  // Matched against whole id/class tokens, so wrappers like "comment-thread-container" or
+  // "article-share-wrapper" that hold the main text are kept
+  const JUNK_NAME =
+    /^(?:cookies?|consent|gdpr|sidebar|comments?|share|sharing|social|newsletter|subscribe|promo|advert|ads?|sponsor(?:ed)?|related|breadcrumbs?|popup|modal|menu)(?:[-_](?:banner|bar|box|notice|links|list|widget|buttons?|icons?|posts?|articles?))?$/i;
+  const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'LI', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'TABLE',
+    'TR', 'TD', 'TH', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BR', 'DD', 'DT', 'FIGCAPTION',
+  ]);
 
-    return { title, host, body };
-  } catch (error) {
-    return {
-      title: document.title || '',
-      host: window.location.hostname || '',
-      body: '',
+  const isHidden = (el) =>
+    typeof el.checkVisibility === 'function' ? !el.checkVisibility({ visibilityProperty: true }) : false;
+
+  // Set once chosen; it and its ancestors are never treated as junk
+  let mainRegion = null;
+
+  const isJunk = (el) => {
+    if (mainRegion && el.contains(mainRegion)) return false;
+    if (el.matches(JUNK_SELECTOR)) return true;
+    const names = [el.id, ...(el.classList || [])].filter(Boolean);
+    return names.some((name) => JUNK_NAME.test(name)) || isHidden(el);
+  };
+
+  // Visible text of a region, skipping junk subtrees (but never the region itself)
+  const collectText = (root) => {
+    const parts = [];
+    const walk = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          parts.push(child.textContent);
+        } else if (child.nodeType === Node.ELEMENT_NODE && !isJunk(child)) {
+          const block = BLOCK_TAGS.has(child.tagName);
+          if (block) parts.push(' ');
+          walk(child);
+          if (block) parts.push(' ');
+        }
+      }
     };
+    walk(root);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  };
+
+  // Main region: explicit article markup first, then paragraph-density scoring
+  const findMainRegion = () => {
+    const MIN_LENGTH = 200;
+    const selectors = [
+      '[itemprop="articleBody"]',
+      'article',
+      'main',
+      '[role="main"]',
+      '#content, #main, .post-content, .entry-content, .article-body, .article-content',
+    ];
+    for (const selector of selectors) {
+      const candidates = [...document.querySelectorAll(selector)].filter((el) => !isHidden(el));
+      if (candidates.length === 0) continue;
+      // Several <article>s usually means a feed; prefer the longest one only if it dominates
+      const ranked = candidates
+        .map((el) => ({ el, length: (el.innerText || '').length }))
+        .sort((a, b) => b.length - a.length);
+      const best = ranked[0];
+      const runnerUp = ranked[1];
+      if (best.length >= MIN_LENGTH && (!runnerUp || best.length > runnerUp.length * 2)) {
+        return best.el;
+      }
+    }
+
+    const scores = new Map();
+    document.querySelectorAll('p, pre, blockquote, td').forEach((p) => {
+      const text = (p.innerText || '').trim();
+      if (text.length < 25) return;
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = p.parentElement;
+      const grandparent = parent?.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      if (score > bestScore && !isJunk(el)) {
+        best = el;
+        bestScore = score;
+      }
+    });
+    return best || document.body;
+  };
+
+  const result = {
+    title,
+    host,
+    url: window.location.href,
+    body: '',
+    truncated: false,
+    wordCount: 0,
+    description: '',
+    canonicalUrl: '',
+    lang: document.documentElement.getAttribute('lang') || '',
+    headings: [],
+    openGraph: {},
+    twitter: {},
+  };
+
+  try {
+    result.openGraph = {
+      title: metaContent('meta[property="og:title"]'),
+      description: metaContent('meta[property="og:description"]'),
+      type: metaContent('meta[property="og:type"]'),
+      siteName: metaContent('meta[property="og:site_name"]'),
+      image: metaContent('meta[property="og:image"]'),
+      url: metaContent('meta[property="og:url"]'),
+    };
+    result.twitter = {
+      card: metaContent('meta[name="twitter:card"]'),
+      title: metaContent('meta[name="twitter:title"]'),
+      description: metaContent('meta[name="twitter:description"]'),
+      site: metaContent('meta[name="twitter:site"]'),
+    };
+    result.description =
+      metaContent('meta[name="description"]') || result.openGraph.description || result.twitter.description;
+    result.canonicalUrl = document.querySelector('link[rel="canonical"]')?.href || '';
+
+    const region = document.body ? findMainRegion() : null;
+    mainRegion = region;
+    if (region) {
+      const text = collectText(region);
+      result.wordCount = text ? text.split(' ').length : 0;
+      result.body = text.slice(0, maxChars);
+      result.truncated = text.length > maxChars;
+
+      const headingSource = region.querySelector('h1, h2, h3') ? region : document;
+      result.headings = [...headingSource.querySelectorAll('h1, h2, h3')]
+        .filter((h) => !h.closest('nav, footer, aside') && !isHidden(h))
+        .map((h) => (h.innerText || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .slice(0, 5);
+    }
+  } catch (error) {
+    // Fall back to plain body text if anything above trips over an unusual page
+    const text = document.body ? (document.body.innerText || '').replace(/\s+/g, ' ').trim() : '';
+    result.body = text.slice(0, maxChars);
+    result.truncated = text.length > maxChars;
   }
+
+  return result;
 }
@@ -0,0 +1,39 @@
+// Auto-filed Tabs Module
+// Tabs the background auto-filer moved into a group, kept so the side panel can offer undo
+
+export const AUTO_FILED_KEY = 'autoFiledTabs';
+
+// Only the most recent moves are offered for undo
+const MAX_AUTO_FILED = 10;
+
+/**
+ * Reads recent auto-filed tabs, newest first
+ * @returns {Promise<Array<{tabId: number, title: string, url: string, groupId: number, groupTitle: string, category: string, source: string, timestamp: number}>>}
+ */
+export async function getAutoFiled() {
+  const stored = await chrome.storage.local.get(AUTO_FILED_KEY);
+  return stored[AUTO_FILED_KEY] || [];
+}
+
+/**
+ * Records a tab the auto-filer moved
+ * @param {Object} entry - Move to record, see getAutoFiled
+ */
+export async function recordAutoFiled(entry) {
+  const entries = (await getAutoFiled()).filter((e) => e.tabId !== entry.tabId);
+  entries.unshift(entry);
+  await chrome.storage.local.set({ [AUTO_FILED_KEY]: entries.slice(0, MAX_AUTO_FILED) });
+}
+
+/**
+ * Forgets auto-filed tabs
+ * @param {number} [tabId] - Tab to forget; all of them if omitted
+ */
+export async function removeAutoFiled(tabId) {
+  if (tabId === undefined) {
+    await chrome.storage.local.remove(AUTO_FILED_KEY);
+    return;
+  }
+  const entries = (await getAutoFiled()).filter((e) => e.tabId !== tabId);
+  await chrome.storage.local.set({ [AUTO_FILED_KEY]: entries });
+}
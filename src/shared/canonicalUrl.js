@@ -0,0 +1,113 @@
+// Canonical URL Module
+// Reduces a URL to the form used to decide whether two tabs show the same page
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  '_hsenc',
+  '_hsmi',
+  'ref_src',
+  'ref_url',
+  'spm',
+  'vero_id',
+]);
+
+// Parameters that only track on some sites; elsewhere "ref" can be a git ref and "si" real content
+// Used for a host when the user has no site rule of their own for it
+const BUILT_IN_SITE_RULES = [
+  { host: 'youtube.com', dropParams: ['si', 'feature'] },
+  { host: 'youtu.be', dropParams: ['si', 'feature'] },
+  { host: 'open.spotify.com', dropParams: ['si'] },
+  { host: 'amazon.com', dropParams: ['ref', 'ref_'] },
+  { host: 'amazon.co.uk', dropParams: ['ref', 'ref_'] },
+  { host: 'imdb.com', dropParams: ['ref_'] },
+  { host: 'producthunt.com', dropParams: ['ref'] },
+];
+
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+function isTrackingParam(key) {
+  const lower = key.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some((prefix) => lower.startsWith(prefix));
+}
+
+/**
+ * Finds the site rule for a host; a rule for "example.com" also covers its subdomains
+ * @param {string} host - Hostname without "www."
+ * @param {Array} siteRules - Rules from settings.dedupe.siteRules
+ * @returns {Object|null} Matching rule, most specific first
+ */
+export function findSiteRule(host, siteRules = []) {
+  const matches = siteRules.filter((rule) => {
+    const ruleHost = (rule.host || '').toLowerCase().replace(/^www\./, '');
+    return ruleHost && (host === ruleHost || host.endsWith(`.${ruleHost}`));
+  });
+  matches.sort((a, b) => b.host.length - a.host.length);
+  return matches[0] || null;
+}
+
+/**
+ * Builds the canonical form of a URL
+ * - folds http/https and a leading "www."
+ * - drops utm_* and other tracking parameters, then sorts the remaining keys
+ * - drops plain in-page anchors ("#section") but keeps fragments that carry state, i.e. ones
+ *   containing "/" or "=" such as Gmail's "#inbox/<id>" or "#!" routes
+ * - drops a trailing slash from the path
+ * Site rules can keep only some params ("keepParams"), drop extra ones ("dropParams"),
+ * ignore the whole query ("ignoreQuery") or always keep the fragment ("keepFragment").
+ * A user rule for a host replaces the built-in one.
+ * @param {string} url - URL to canonicalise
+ * @param {Array} [siteRules] - Per-site overrides
+ * @returns {string|null} Canonical URL (without scheme), or null if the URL can't be parsed
+ */
+export function canonicalizeUrl(url, siteRules = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const rule = findSiteRule(host, siteRules) || findSiteRule(host, BUILT_IN_SITE_RULES);
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  let path = parsed.pathname.replace(/\/{2,}/g, '/');
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+  if (path === '/') path = '';
+
+  let query = '';
+  if (!rule?.ignoreQuery) {
+    const keep = (rule?.keepParams || []).map((k) => k.toLowerCase());
+    const drop = (rule?.dropParams || []).map((k) => k.toLowerCase());
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => {
+        const lower = key.toLowerCase();
+        if (keep.length > 0) return keep.includes(lower);
+        return !isTrackingParam(key) && !drop.includes(lower);
+      })
+      .sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+    if (params.length > 0) {
+      query = `?${new URLSearchParams(params).toString()}`;
+    }
+  }
+
+  let fragment = '';
+  const hash = parsed.hash;
+  if (hash && hash !== '#' && (rule?.keepFragment || hash.startsWith('#!') || /[/=]/.test(hash))) {
+    fragment = hash;
+  }
+
+  return `${host}${port}${path}${query}${fragment}`;
+}
@@ -0,0 +1,99 @@
+// Classification Cache Module
+// Persists model classifications so unchanged tabs aren't sent to the model again
+
+import { canonicalizeUrl } from './canonicalUrl.js';
+import { hashString } from './hash.js';
+
+const CACHE_KEY = 'classificationCache';
+
+// Least recently used entries are evicted beyond this size
+export const MAX_CACHE_ENTRIES = 1000;
+
+/**
+ * Builds the cache key for a tab: canonical URL plus a hash of its title
+ * @param {string} url - Tab URL
+ * @param {string} title - Tab title
+ * @param {Array} [siteRules] - Per-site canonicalisation rules
+ * @returns {string} Cache key
+ */
+export function getCacheKey(url, title, siteRules = []) {
+  const canonical = canonicalizeUrl(url, siteRules) || url;
+  return `${canonical}|${hashString((title || '').trim())}`;
+}
+
+/**
+ * Loads the cache from chrome.storage.local
+ * @returns {Promise<Object>} Map of cache key to entry
+ */
+export async function loadClassificationCache() {
+  const stored = await chrome.storage.local.get(CACHE_KEY);
+  return stored[CACHE_KEY] || {};
+}
+
+/**
+ * Looks up a cached classification and marks it as recently used
+ * @param {Object} cache - Cache loaded with loadClassificationCache
+ * @param {string} key - Key from getCacheKey
+ * @param {string} version - Current prompt/taxonomy version; older entries are ignored
+ * @returns {{label: string, topic: string}|null} Cached classification
+ */
+export function getCachedClassification(cache, key, version) {
+  const entry = cache[key];
+  if (!entry || entry.version !== version) return null;
+  entry.lastUsed = Date.now();
+  return { label: entry.label, topic: entry.topic };
+}
+
+/**
+ * Stores a classification in the in-memory cache
+ * @param {Object} cache - Cache loaded with loadClassificationCache
+ * @param {string} key - Key from getCacheKey
+ * @param {{label: string, topic: string}} classification - Model result
+ * @param {string} version - Prompt/taxonomy version the result was produced with
+ */
+export function setCachedClassification(cache, key, classification, version) {
+  const now = Date.now();
+  cache[key] = {
+    label: classification.label,
+    topic: classification.topic,
+    version,
+    timestamp: now,
+    lastUsed: now,
+  };
+}
+
+/**
+ * Writes the cache back to storage, evicting least recently used entries over the cap
+ * @param {Object} cache - Cache loaded with loadClassificationCache
+ */
+export async function saveClassificationCache(cache) {
+  const entries = Object.entries(cache);
+  if (entries.length > MAX_CACHE_ENTRIES) {
+    entries.sort(([, a], [, b]) => b.lastUsed - a.lastUsed);
+    entries.splice(MAX_CACHE_ENTRIES);
+  }
+  await chrome.storage.local.set({ [CACHE_KEY]: Object.fromEntries(entries) });
+}
+
+// Updates made with updateClassificationCache, one at a time
+let updateQueue = Promise.resolve();
+
+/**
+ * Loads the stored cache, changes it and writes it back, one update at a time in this context
+ * Use it for small writes so a cache loaded earlier never overwrites newer entries
+ * @param {Function} update - Called with the freshly loaded cache to change it in place
+ */
+export function updateClassificationCache(update) {
+  const run = updateQueue.then(async () => {
+    const cache = await loadClassificationCache();
+    update(cache);
+    await saveClassificationCache(cache);
+  });
+  updateQueue = run.catch(() => {});
+  return run;
+}
+
+// Remove every cached classification
+export async function clearClassificationCache() {
+  await chrome.storage.local.remove(CACHE_KEY);
+}
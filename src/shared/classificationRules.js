@@ -0,0 +1,177 @@
+// Classification Rules Module
+// Deterministic host/path/title rules that assign a category before the model is asked
+
+import { matchCategoryName } from './taxonomy.js';
+
+const RULES_KEY = 'classificationRules';
+
+export const DEFAULT_RULES = [
+  {
+    name: 'GitHub pull requests',
+    enabled: true,
+    priority: 10,
+    hostGlob: 'github.com',
+    pathRegex: '^/[^/]+/[^/]+/pull/\\d+',
+    titleKeywords: [],
+    category: 'Development',
+  },
+  {
+    name: 'Google Docs',
+    enabled: true,
+    priority: 0,
+    hostGlob: 'docs.google.com',
+    pathRegex: '',
+    titleKeywords: [],
+    category: 'Work',
+  },
+];
+
+// "*.example.com" matches subdomains, "*" matches any run of characters
+function globToRegExp(glob) {
+  const escaped = glob
+    .trim()
+    .toLowerCase()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Checks a rule for problems that would stop it from matching
+ * @param {Object} rule - Rule to check
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+export function validateRule(rule) {
+  if (!rule.category) return 'A category is required';
+  if (!rule.hostGlob && !rule.pathRegex && !(rule.titleKeywords || []).length) {
+    return 'At least one of host, path or title keywords is required';
+  }
+  if (rule.pathRegex) {
+    try {
+      new RegExp(rule.pathRegex);
+    } catch (e) {
+      return `Invalid path regex: ${e.message}`;
+    }
+  }
+  return null;
+}
+
+// Fill in missing fields so stored and imported rules have one shape
+function normalizeRule(rule) {
+  return {
+    name: String(rule.name || '').trim(),
+    enabled: rule.enabled !== false,
+    priority: Number.isFinite(Number(rule.priority)) ? Number(rule.priority) : 0,
+    hostGlob: String(rule.hostGlob || '').trim(),
+    pathRegex: String(rule.pathRegex || '').trim(),
+    titleKeywords: (Array.isArray(rule.titleKeywords) ? rule.titleKeywords : [])
+      .map((k) => String(k).trim())
+      .filter(Boolean),
+    category: String(rule.category || '').trim(),
+  };
+}
+
+/**
+ * Reads rules from chrome.storage.local
+ * @returns {Promise<Array>} Rules in list order
+ */
+export async function getRules() {
+  const stored = await chrome.storage.local.get(RULES_KEY);
+  return (stored[RULES_KEY] || DEFAULT_RULES).map(normalizeRule);
+}
+
+/**
+ * Saves rules in list order
+ * @param {Array} rules - Rules to store
+ * @returns {Promise<Array>} Rules as stored
+ * @throws {Error} If any rule is invalid
+ */
+export async function saveRules(rules) {
+  const clean = rules.map(normalizeRule);
+  clean.forEach((rule, idx) => {
+    const error = validateRule(rule);
+    if (error) throw new Error(`Rule ${idx + 1}${rule.name ? ` (${rule.name})` : ''}: ${error}`);
+  });
+  await chrome.storage.local.set({ [RULES_KEY]: clean });
+  return clean;
+}
+
+/**
+ * Parses rules from exported JSON
+ * @param {string} json - JSON array of rules, or an object with a "rules" array
+ * @returns {Array} Normalised rules
+ * @throws {Error} If the JSON isn't a rule list
+ */
+export function parseRulesJson(json) {
+  const data = JSON.parse(json);
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) throw new Error('Expected a JSON array of rules');
+  return rules.map(normalizeRule);
+}
+
+/**
+ * Serialises rules for export
+ * @param {Array} rules - Rules to export
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportRulesJson(rules) {
+  return JSON.stringify({ version: 1, rules: rules.map(normalizeRule) }, null, 2);
+}
+
+/**
+ * Compiles rules for repeated matching: disabled, invalid and unknown-category rules are dropped,
+ * the rest are sorted by priority (highest first), keeping list order for ties
+ * @param {Array} rules - Rules from getRules
+ * @param {Array} taxonomy - Categories rules may assign
+ * @returns {Array} Compiled rules
+ */
+export function compileRules(rules, taxonomy) {
+  return rules
+    .map((rule, order) => ({ rule, order }))
+    .filter(({ rule }) => rule.enabled && !validateRule(rule) && matchCategoryName(rule.category, taxonomy))
+    .sort((a, b) => b.rule.priority - a.rule.priority || a.order - b.order)
+    .map(({ rule }) => ({
+      ...rule,
+      category: matchCategoryName(rule.category, taxonomy),
+      hostPattern: rule.hostGlob ? globToRegExp(rule.hostGlob) : null,
+      pathPattern: rule.pathRegex ? new RegExp(rule.pathRegex, 'i') : null,
+      keywords: rule.titleKeywords.map((k) => k.toLowerCase()),
+    }));
+}
+
+/**
+ * Finds the first rule that matches a tab; every condition a rule sets must match
+ * A host glob without a wildcard also matches "www." and subdomains of that host
+ * @param {{url: string, title: string}} tab - Tab to match
+ * @param {Array} compiledRules - Rules from compileRules
+ * @returns {{category: string, rule: Object}|null} Matching category and rule
+ */
+export function matchRule(tab, compiledRules) {
+  let parsed;
+  try {
+    parsed = new URL(tab.url);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const path = parsed.pathname + parsed.search;
+  const title = (tab.title || '').toLowerCase();
+
+  for (const rule of compiledRules) {
+    if (rule.hostPattern) {
+      const bareHost = !rule.hostGlob.includes('*');
+      const hostMatches =
+        rule.hostPattern.test(host) ||
+        (bareHost && host.endsWith(`.${rule.hostGlob.toLowerCase()}`));
+      if (!hostMatches) continue;
+    }
+    if (rule.pathPattern && !rule.pathPattern.test(path)) continue;
+    if (rule.keywords.length > 0 && !rule.keywords.some((k) => title.includes(k))) continue;
+
+    return { category: rule.category, rule };
+  }
+
+  return null;
+}
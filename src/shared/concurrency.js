@@ -0,0 +1,45 @@
+// Concurrency Helpers
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at the same time
+ * @param {number} limit - Maximum number of tasks in flight
+ * @returns {Function} run(task) - Queues an async task and resolves with its result
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Rejects if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} [message] - Error message on timeout
+ * @returns {Promise} The promise's result
+ */
+export function withTimeout(promise, ms, message = 'Timeout') {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
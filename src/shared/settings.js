@@ -0,0 +1,86 @@
+// Settings Module
+// Shared by the side panel, options page and background script
+
+const SETTINGS_KEY = 'settings';
+
+export const DEFAULT_SETTINGS = {
+  organise: {
+    // 'category' groups by classification label, 'topic' clusters into finer named groups
+    mode: 'category',
+    maxTopicGroups: 8,
+    minTopicGroupSize: 2,
+    // Windows to organise: 'current', 'each' (separately) or 'consolidate' (into the current one)
+    scope: 'current',
+    // Keep the user's own groups: only ungrouped tabs are classified, and they join
+    // an existing group whose title matches their category
+    incremental: false,
+    // Arrangement after grouping: groups by 'taxonomy' (plan order), 'name' or 'size';
+    // tabs within a group by 'domain', 'title', 'recent' or 'none' (keep their order)
+    groupOrder: 'taxonomy',
+    tabOrder: 'domain',
+    // Collapse every new group except the one holding the active tab
+    collapseInactive: false,
+  },
+  extraction: {
+    // Character budget for extracted page body text
+    maxChars: 1500,
+    // Page content for classification: 'title' (never), 'ambiguous' (vague titles) or 'always'
+    classifyWith: 'title',
+    // Tabs read at once, and how long to wait for each one
+    concurrency: 4,
+    timeoutMs: 5000,
+  },
+  autoFile: {
+    // File new tabs into the matching Tab Tidy group as soon as they finish loading
+    enabled: false,
+    // Wait this long after the last load event so redirects settle first
+    debounceMs: 1500,
+    // Hosts never auto-filed; "example.com" also covers its subdomains
+    excludeSites: [],
+  },
+  stale: {
+    // Tabs not looked at for this many days are listed as stale
+    days: 7,
+    // Tabs kept out of the stale list
+    protect: { pinned: true, audible: true, userGroups: true },
+  },
+  archive: {
+    // Bookmark folder that "Bookmark & close" and "Archive all groups" file groups under
+    folderName: 'Tab Tidy Archive',
+  },
+  dedupe: {
+    // Which copy of a duplicate survives: 'pinned', 'recent', 'grouped' or 'focused'
+    keepPolicy: 'pinned',
+    // Per-site canonicalisation overrides, see canonicalUrl.js
+    siteRules: [],
+  },
+};
+
+/**
+ * Reads settings from chrome.storage.local, filling in defaults for missing keys
+ * @returns {Promise<Object>} Settings object shaped like DEFAULT_SETTINGS
+ */
+export async function getSettings() {
+  const stored = await chrome.storage.local.get(SETTINGS_KEY);
+  const saved = stored[SETTINGS_KEY] || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([section, defaults]) => [
+      section,
+      { ...defaults, ...(saved[section] || {}) },
+    ]),
+  );
+}
+
+/**
+ * Replaces one settings section
+ * @param {string} section - Top-level key in DEFAULT_SETTINGS
+ * @param {Object} value - New section value
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function saveSettingsSection(section, value) {
+  const settings = await getSettings();
+  settings[section] = { ...DEFAULT_SETTINGS[section], ...value };
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
@@ -0,0 +1,450 @@
+// Tab Classification and Clustering Module
+import {
+  DEFAULT_TAXONOMY,
+  FALLBACK_CATEGORY,
+  describeTaxonomy,
+  matchCategoryName,
+} from './taxonomy.js';
+
+// Bump whenever the classification prompt changes so cached results are re-classified
+export const CLASSIFICATION_VERSION = 'v3';
+
+// Page content is halved on each quota error; below this it is dropped entirely
+const MIN_RETRY_BODY_CHARS = 400;
+
+// Prompt/clone failures caused by the input not fitting the model's context
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || /quota|too large|overflow/i.test(error?.message || '');
+}
+
+// Strip markdown fences and parse; returns undefined for anything that isn't JSON
+function parseModelJson(raw) {
+  try {
+    return JSON.parse(String(raw).replace(/```json|```/g, '').trim());
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Prompts with a JSON Schema response constraint and validates the result
+ * Malformed or out-of-range output gets one targeted repair prompt before giving up
+ * @param {Object} session - The AI language model session
+ * @param {string} prompt - Task prompt
+ * @param {Object} schema - JSON Schema passed as responseConstraint
+ * @param {Function} validate - (parsed) => ({ value } | { error })
+ * @param {AbortSignal} [signal] - Aborts the prompts in flight
+ * @returns {Promise<{value?: *, error?: string, repaired: boolean, lastRaw?: string}>} Valid value,
+ *   or the last error and raw response
+ */
+async function promptForJson(session, prompt, schema, validate, signal) {
+  const check = (raw) => {
+    const parsed = parseModelJson(raw);
+    return parsed === undefined ? { error: 'the response was not valid JSON' } : validate(parsed);
+  };
+
+  const raw = await session.prompt(prompt, { responseConstraint: schema, signal });
+  const first = check(raw);
+  if (!first.error) return { value: first.value, repaired: false };
+
+  const repairPrompt = `Your previous response was invalid: ${first.error}.
+
+  PREVIOUS RESPONSE:
+  ${String(raw).slice(0, 2000)}
+
+  Respond again with ONLY corrected JSON that matches this JSON Schema exactly:
+  ${JSON.stringify(schema)}`;
+
+  const repairedRaw = await session.prompt(repairPrompt, { responseConstraint: schema, signal });
+  const second = check(repairedRaw);
+  if (!second.error) return { value: second.value, repaired: true };
+
+  return { error: second.error, repaired: false, lastRaw: repairedRaw };
+}
+
+/**
+ * JSON Schema for a single classification
+ * @param {Array} taxonomy - Categories the label must come from
+ * @returns {Object} Schema
+ */
+export function getClassificationSchema(taxonomy) {
+  return {
+    type: 'object',
+    properties: {
+      label: { type: 'string', enum: taxonomy.map((c) => c.name) },
+      topic: { type: 'string' },
+    },
+    required: ['label', 'topic'],
+    additionalProperties: false,
+  };
+}
+
+/**
+ * JSON Schema for clustering output
+ * @param {number} itemCount - Number of items; IDs are 0..itemCount-1
+ * @returns {Object} Schema
+ */
+export function getClusterSchema(itemCount) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        items: {
+          type: 'array',
+          items: { type: 'integer', minimum: 0, maximum: Math.max(itemCount - 1, 0) },
+        },
+      },
+      required: ['name', 'items'],
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * Extracts content from a tab via background script
+ * @param {number} tabId - The ID of the tab to extract content from
+ * @param {number} [maxChars] - Character budget for the body; defaults to the extraction setting
+ * @returns {Promise<Object>} Extracted content: title, host, main-content body, description,
+ *   Open Graph/Twitter tags, canonical URL, lang, headings and word count
+ */
+export async function extractFromTab(tabId, maxChars) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'EXTRACT_TAB_CONTENT',
+    tabId,
+    maxChars,
+  });
+  if (!response.ok) throw new Error(response.error);
+  return response.result;
+}
+
+// Titles that say little about what a page is
+const GENERIC_TITLES = new Set([
+  'home',
+  'homepage',
+  'untitled',
+  'dashboard',
+  'inbox',
+  'index',
+  'welcome',
+  'login',
+  'log in',
+  'sign in',
+  'loading',
+  'loading...',
+  'new tab',
+  'document',
+  'overview',
+  'page',
+]);
+
+/**
+ * Checks whether a title is too vague to classify on its own
+ * @param {string} title - Tab title
+ * @param {string} host - Tab hostname
+ * @returns {boolean} True for empty, generic, very short or host-only titles
+ */
+export function isAmbiguousTitle(title, host = '') {
+  const normalized = (title || '').trim().toLowerCase();
+  if (!normalized) return true;
+
+  // "Dashboard | Acme" and "Acme - Home" are as vague as "Dashboard"
+  const segments = normalized.split(/\s+[|\-–—:·•]\s+/).map((part) => part.trim());
+  if (segments.some((part) => GENERIC_TITLES.has(part))) return true;
+
+  const bareHost = host.toLowerCase().replace(/^www\./, '');
+  if (normalized === bareHost || normalized === bareHost.split('.')[0]) return true;
+
+  return normalized.split(/\s+/).length < 2 && normalized.length < 12;
+}
+
+/**
+ * System prompt holding the classification instructions and categories
+ * @param {Array} [taxonomy] - Categories the label must come from
+ * @returns {string} Prompt text
+ */
+export function getClassificationSystemPrompt(taxonomy = DEFAULT_TAXONOMY) {
+  const labels = taxonomy.map((c) => c.name);
+
+  return `# TASK: Classify the web page the user sends you.
+
+  # INSTRUCTIONS:
+  1.  Your entire response MUST be a single, valid JSON object. Do not add any explanatory text, markdown, or any characters outside the JSON object.
+  2.  The JSON structure must be exactly: '{ "label": "category", "topic": "brief description"}'.
+  3.  For the "label" value, you MUST use exactly one category name from this list: ${JSON.stringify(labels)}.
+  4.  For the "topic" value, provide a concise 3-5 word summary of the page's main subject.
+
+  # CATEGORIES:
+${describeTaxonomy(taxonomy)}
+  `;
+}
+
+/**
+ * Creates a language model session primed with the classification system prompt
+ * classifyTab should run in a clone of it so tabs never see each other's pages
+ * @param {Array} [taxonomy] - Categories the label must come from
+ * @param {Object} [options] - Extra LanguageModel.create options, e.g. signal or monitor
+ * @returns {Promise<Object>} Base session
+ */
+export async function createClassificationSession(taxonomy = DEFAULT_TAXONOMY, options = {}) {
+  return LanguageModel.create({
+    ...options,
+    initialPrompts: [{ role: 'system', content: getClassificationSystemPrompt(taxonomy) }],
+    expectedInputs: [{ type: 'text', languages: ['en'] }],
+    expectedOutputs: [{ type: 'text', languages: ['en'] }],
+  });
+}
+
+/**
+ * Classifies a tab into a category using AI
+ * When the page is too large for the session, its content is shortened and the prompt retried
+ * @param {Object} session - Session from createClassificationSession (or a clone of one)
+ * @param {Object} tabMeta - Tab metadata (title, host, body)
+ * @param {number} idx - Current tab index
+ * @param {number} total - Total number of tabs
+ * @param {Function} updateProgressCallback - Callback for progress updates
+ * @param {Array} [taxonomy] - Categories the label must come from
+ * @param {AbortSignal} [signal] - Cancels the classification; it then rejects with an AbortError
+ * @returns {Promise<{label: string, topic: string, repaired?: boolean, shortened?: boolean, fallback?: boolean, fallbackReason?: string}>}
+ *   Classification result; repaired is set when the repair prompt was needed, shortened when the
+ *   page content had to be cut to fit, fallback when the model failed and "Other" was used
+ */
+export async function classifyTab(
+  session,
+  tabMeta,
+  idx,
+  total,
+  updateProgressCallback,
+  taxonomy = DEFAULT_TAXONOMY,
+  signal,
+) {
+  const { title, host } = tabMeta;
+  const labels = taxonomy.map((c) => c.name);
+
+  const buildPrompt = (body) => `# PAGE DATA:
+  TITLE: ${title}
+  HOST: ${host}
+  CONTENT: ${body}
+  `;
+
+  updateProgressCallback(`Classifying ${idx}/${total}`);
+
+  if (!session) {
+    throw new Error('Language model session not available');
+  }
+
+  const validate = (obj) => {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'expected a JSON object' };
+    const label = matchCategoryName(obj.label, taxonomy);
+    if (!label) {
+      return { error: `"label" must be one of ${JSON.stringify(labels)}, got ${JSON.stringify(obj.label)}` };
+    }
+    return { value: { label, topic: String(obj.topic || title || 'Unknown').slice(0, 60) } };
+  };
+
+  let result;
+  let body = tabMeta.body || '';
+  let shortened = false;
+  try {
+    for (;;) {
+      try {
+        result = await promptForJson(session, buildPrompt(body), getClassificationSchema(taxonomy), validate, signal);
+        break;
+      } catch (e) {
+        // A rejected prompt isn't added to the session, so it can be retried with less content
+        if (!isQuotaError(e) || !body) throw e;
+        body = body.length > MIN_RETRY_BODY_CHARS ? body.slice(0, Math.floor(body.length / 2)) : '';
+        shortened = true;
+      }
+    }
+  } catch (e) {
+    // A cancelled run isn't a model failure
+    if (signal?.aborted) throw e;
+    updateProgressCallback(`Classify error on ${idx}/${total}`);
+    console.error(`[PromptAPI] classify failed on tab ${idx}: ${e?.message || e}`);
+    return {
+      label: FALLBACK_CATEGORY,
+      topic: (title || 'Unknown').slice(0, 40),
+      fallback: true,
+      fallbackReason: e?.message || String(e),
+    };
+  }
+
+  if (result.error) {
+    console.warn(`[PromptAPI] classify output invalid on tab ${idx} after repair: ${result.error}`);
+    return {
+      label: FALLBACK_CATEGORY,
+      topic: (title || 'Unknown').slice(0, 60),
+      fallback: true,
+      fallbackReason: result.error,
+    };
+  }
+
+  return { ...result.value, repaired: result.repaired, shortened };
+}
+
+/**
+ * Makes cluster output safe to group: every item is assigned exactly once, clusters below
+ * the minimum size and beyond the group limit are folded into one fallback cluster
+ * @param {*} clusters - Parsed model output, expected to be [{ name, items: [id] }]
+ * @param {number} itemCount - Number of items that were clustered (IDs are 0..itemCount-1)
+ * @param {Object} [options]
+ * @param {number} [options.maxGroups] - Maximum number of clusters returned
+ * @param {number} [options.minGroupSize] - Smallest cluster kept on its own
+ * @returns {{clusters: Array, report: {invalid: number, duplicates: number, missing: number, folded: number}}}
+ */
+export function validateClusters(clusters, itemCount, { maxGroups = 8, minGroupSize = 2 } = {}) {
+  const report = { invalid: 0, duplicates: 0, missing: 0, folded: 0 };
+  const assigned = new Set();
+  const usedNames = new Set();
+  let valid = [];
+
+  for (const cluster of Array.isArray(clusters) ? clusters : []) {
+    const items = [];
+    for (const raw of Array.isArray(cluster?.items) ? cluster.items : []) {
+      const id = Number(raw);
+      if (!Number.isInteger(id) || id < 0 || id >= itemCount) {
+        report.invalid++;
+      } else if (assigned.has(id)) {
+        report.duplicates++;
+      } else {
+        assigned.add(id);
+        items.push(id);
+      }
+    }
+    if (items.length === 0) continue;
+
+    // Short, unique names
+    let name = String(cluster.name || '').replace(/\s+/g, ' ').trim().slice(0, 40) || FALLBACK_CATEGORY;
+    const base = name;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+    usedNames.add(name.toLowerCase());
+
+    valid.push({ name, items });
+  }
+
+  const leftover = [];
+  for (let id = 0; id < itemCount; id++) {
+    if (!assigned.has(id)) {
+      leftover.push(id);
+      report.missing++;
+    }
+  }
+
+  valid.sort((a, b) => b.items.length - a.items.length);
+  const small = valid.filter((c) => c.items.length < minGroupSize);
+  valid = valid.filter((c) => c.items.length >= minGroupSize);
+
+  // Reserve one slot for the fallback cluster when anything needs folding
+  const needsFallback = leftover.length > 0 || small.length > 0 || valid.length > maxGroups;
+  const limit = needsFallback ? Math.max(maxGroups - 1, 1) : maxGroups;
+  const folded = [...small, ...valid.slice(limit)];
+  valid = valid.slice(0, limit);
+
+  folded.forEach((c) => {
+    leftover.push(...c.items);
+    report.folded += c.items.length;
+  });
+
+  if (leftover.length > 0) {
+    const fallback = valid.find((c) => c.name.toLowerCase() === FALLBACK_CATEGORY.toLowerCase());
+    if (fallback) fallback.items.push(...leftover);
+    else valid.push({ name: FALLBACK_CATEGORY, items: leftover });
+  }
+
+  return { clusters: valid, report };
+}
+
+/**
+ * Clusters classified tabs into finer topic groups with short generated names
+ * @param {Object} session - The AI language model session
+ * @param {Array} classified - Array of classified tab objects
+ * @param {Function} updateProgressCallback - Callback for progress updates
+ * @param {Array} [taxonomy] - Categories the tabs were classified into, given as context
+ * @param {Object} [options] - maxGroups and minGroupSize (see validateClusters), and an abort signal
+ * @returns {Promise<{clusters: Array, report: Object}>} Validated clusters with item IDs
+ *   (indexes into classified) and a report of what had to be fixed, repaired or fallen back on
+ */
+export async function clusterTabs(
+  session,
+  classified,
+  updateProgressCallback,
+  taxonomy = DEFAULT_TAXONOMY,
+  options = {},
+) {
+  updateProgressCallback('Clustering tabs…');
+
+  const { maxGroups = 8, minGroupSize = 2, signal } = options;
+
+  const items = classified.map((it, idx) => ({
+    id: idx,
+    title: it.title || '',
+    topic: it.topic || '',
+    label: it.label || FALLBACK_CATEGORY,
+  }));
+
+  const clusterPrompt = `# TASK: Group the provided web page items into meaningful topic clusters.
+
+    # INSTRUCTIONS:
+    1.  Your entire response MUST be a single, valid JSON array. Do not add any text or markdown outside the JSON array.
+    2.  Each object in the array represents one cluster and must follow this exact structure: '{ "name": "cluster_name", "items": [id1, id2, ...] }'.
+    3.  The "name" value MUST be a short, specific name of 2-5 words describing what the cluster is about (for example "Rust async runtime research" or "Q3 offsite planning"). Do not use generic category names.
+    4.  The "items" value must be an array of the integer IDs that belong to the cluster.
+    5.  Group items by their shared topic, which can be finer than their category. Every item ID must be assigned to exactly one cluster.
+    6.  Create at most ${maxGroups} clusters, each with at least ${minGroupSize} items where possible.
+
+    # CATEGORIES THE ITEMS WERE CLASSIFIED INTO:
+${describeTaxonomy(taxonomy)}
+
+    # ITEMS TO CLUSTER:
+    ${items.map((it) => `ID ${it.id}: ${it.label} - ${it.title} (${it.topic})`).join('\n')}`;
+
+  if (!session) {
+    throw new Error('Language model session not available');
+  }
+
+  // Strict check for the repair prompt; validateClusters still patches whatever gets through
+  const validate = (parsed) => {
+    if (!Array.isArray(parsed)) return { error: 'expected a JSON array of clusters' };
+    const seen = new Set();
+    for (const cluster of parsed) {
+      if (!cluster || !Array.isArray(cluster.items)) return { error: 'every cluster needs an "items" array' };
+      for (const id of cluster.items) {
+        if (!Number.isInteger(id) || id < 0 || id >= items.length) {
+          return { error: `item ID ${JSON.stringify(id)} does not exist (valid IDs are 0-${items.length - 1})` };
+        }
+        if (seen.has(id)) return { error: `item ID ${id} is assigned to more than one cluster` };
+        seen.add(id);
+      }
+    }
+    const missing = items.filter((it) => !seen.has(it.id)).map((it) => it.id);
+    if (missing.length > 0) return { error: `item IDs ${missing.join(', ')} are not assigned to any cluster` };
+    return { value: parsed };
+  };
+
+  const result = await promptForJson(session, clusterPrompt, getClusterSchema(items.length), validate, signal);
+
+  let clusters;
+  let fallback = false;
+  if (!result.error) {
+    clusters = result.value;
+  } else {
+    // Still usable if it parses; validateClusters assigns every item exactly once
+    console.warn(`⚠️ Clustering output invalid after repair (${result.error}), patching it`);
+    fallback = true;
+    const parsed = parseModelJson(result.lastRaw);
+    clusters = Array.isArray(parsed) ? parsed : [{ name: FALLBACK_CATEGORY, items: items.map((x) => x.id) }];
+  }
+
+  const validated = validateClusters(clusters, items.length, { maxGroups, minGroupSize });
+  return {
+    clusters: validated.clusters,
+    report: {
+      ...validated.report,
+      repaired: result.repaired,
+      fallback,
+      fallbackReason: result.error,
+    },
+  };
+}
@@ -0,0 +1,117 @@
+// Category Taxonomy Module
+// The user-editable list of categories used by the prompts and for group styling
+
+import { hashString } from './hash.js';
+
+const TAXONOMY_KEY = 'taxonomy';
+
+// Tabs that fit nowhere else end up here; it is always offered to the model
+export const FALLBACK_CATEGORY = 'Other';
+
+// Colours accepted by chrome.tabGroups.update
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+export const DEFAULT_TAXONOMY = [
+  { name: 'News', description: 'Current events, journalism and press coverage', color: 'blue', emoji: '' },
+  { name: 'Sports', description: 'Teams, matches, scores and athletes', color: 'green', emoji: '' },
+  { name: 'Shopping', description: 'Online stores, products, prices and deals', color: 'pink', emoji: '' },
+  { name: 'Travel', description: 'Flights, hotels, maps and trip planning', color: 'cyan', emoji: '' },
+  { name: 'Learning', description: 'Courses, tutorials, encyclopedias and study material', color: 'yellow', emoji: '' },
+  { name: 'Work', description: 'Email, calendars, tickets, internal tools and documents', color: 'purple', emoji: '' },
+  { name: 'Development', description: 'Code, repositories, APIs and programming documentation', color: 'grey', emoji: '' },
+  { name: 'Social', description: 'Social networks, forums and messaging', color: 'orange', emoji: '' },
+  { name: 'Finance', description: 'Banking, investing, markets and personal finance', color: 'green', emoji: '' },
+  { name: 'Entertainment', description: 'Video, music, games, films and streaming', color: 'red', emoji: '' },
+  { name: FALLBACK_CATEGORY, description: 'Anything that fits none of the other categories', color: 'grey', emoji: '' },
+];
+
+// Drop blank rows, duplicate names and unknown colours; make sure the fallback exists
+function sanitizeTaxonomy(taxonomy) {
+  const seen = new Set();
+  const clean = [];
+
+  for (const category of taxonomy) {
+    const name = (category.name || '').trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    clean.push({
+      name,
+      description: (category.description || '').trim(),
+      color: GROUP_COLORS.includes(category.color) ? category.color : 'grey',
+      emoji: (category.emoji || '').trim(),
+    });
+  }
+
+  if (!seen.has(FALLBACK_CATEGORY.toLowerCase())) {
+    clean.push(DEFAULT_TAXONOMY.find((c) => c.name === FALLBACK_CATEGORY));
+  }
+
+  return clean;
+}
+
+/**
+ * Reads the taxonomy from chrome.storage.local
+ * @returns {Promise<Array<{name: string, description: string, color: string, emoji: string}>>}
+ */
+export async function getTaxonomy() {
+  const stored = await chrome.storage.local.get(TAXONOMY_KEY);
+  return sanitizeTaxonomy(stored[TAXONOMY_KEY] || DEFAULT_TAXONOMY);
+}
+
+/**
+ * Saves the taxonomy
+ * @param {Array} taxonomy - Categories in display order
+ * @returns {Promise<Array>} The taxonomy as stored
+ */
+export async function saveTaxonomy(taxonomy) {
+  const clean = sanitizeTaxonomy(taxonomy);
+  await chrome.storage.local.set({ [TAXONOMY_KEY]: clean });
+  return clean;
+}
+
+/**
+ * Short fingerprint of the parts of the taxonomy the model sees
+ * Classifications made against a different taxonomy are not reused
+ * @param {Array} taxonomy - Categories
+ * @returns {string} Version string
+ */
+export function getTaxonomyVersion(taxonomy) {
+  return hashString(taxonomy.map((c) => `${c.name}:${c.description}`).join('\n'));
+}
+
+/**
+ * Maps a model-produced label onto a taxonomy category name
+ * @param {string} label - Label as returned by the model
+ * @param {Array} taxonomy - Categories
+ * @returns {string|null} Canonical category name, or null if it isn't in the taxonomy
+ */
+export function matchCategoryName(label, taxonomy) {
+  const key = String(label || '').trim().toLowerCase();
+  const category = taxonomy.find((c) => c.name.toLowerCase() === key);
+  return category ? category.name : null;
+}
+
+/**
+ * Chrome group title and colour for a category
+ * Names that aren't in the taxonomy (e.g. renamed in the preview) keep Chrome's colour
+ * @param {string} name - Category name
+ * @param {Array} taxonomy - Categories
+ * @returns {{title: string, color?: string}} Group styling
+ */
+export function getGroupStyle(name, taxonomy) {
+  const category = taxonomy.find((c) => c.name === name);
+  if (!category) return { title: name };
+  return {
+    title: category.emoji ? `${category.emoji} ${category.name}` : category.name,
+    color: category.color,
+  };
+}
+
+/**
+ * Renders the taxonomy as a prompt bullet list
+ * @param {Array} taxonomy - Categories
+ * @returns {string} One "- Name: description" line per category
+ */
+export function describeTaxonomy(taxonomy) {
+  return taxonomy.map((c) => (c.description ? `- ${c.name}: ${c.description}` : `- ${c.name}`)).join('\n');
+}
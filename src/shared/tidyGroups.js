@@ -0,0 +1,30 @@
+// Tidy Groups Module
+// Remembers which tab groups Tab Tidy created, so they can be told apart from the user's own
+
+const TIDY_GROUPS_KEY = 'tidyGroupIds';
+
+/**
+ * Reads the IDs of groups Tab Tidy created, dropping groups that no longer exist
+ * @returns {Promise<Set<number>>} Group IDs
+ */
+export async function readTidyGroupIds() {
+  const stored = await chrome.storage.local.get(TIDY_GROUPS_KEY);
+  const saved = stored[TIDY_GROUPS_KEY] || [];
+  const existing = new Set((await chrome.tabGroups.query({})).map((group) => group.id));
+  const live = saved.filter((id) => existing.has(id));
+  if (live.length !== saved.length) {
+    await chrome.storage.local.set({ [TIDY_GROUPS_KEY]: live });
+  }
+  return new Set(live);
+}
+
+/**
+ * Records groups as created by Tab Tidy
+ * @param {Array<number>} groupIds - Newly created group IDs
+ */
+export async function rememberTidyGroups(groupIds) {
+  if (groupIds.length === 0) return;
+  const ids = await readTidyGroupIds();
+  groupIds.forEach((id) => ids.add(id));
+  await chrome.storage.local.set({ [TIDY_GROUPS_KEY]: [...ids] });
+}
@@ -0,0 +1,113 @@
+// Workspaces Module
+// Named, saved sets of tab groups that can be reopened later
+
+const WORKSPACES_KEY = 'workspaces';
+
+/**
+ * Builds workspace contents from groups as returned by GET_EXISTING_GROUPS
+ * @param {Array} groups - Existing groups, in tab strip order
+ * @returns {Array<{title: string, color: string, collapsed: boolean, tabs: Array<{title: string, url: string}>}>}
+ */
+export function groupsToWorkspaceGroups(groups) {
+  return groups.map((group) => ({
+    title: group.title,
+    color: group.color,
+    collapsed: Boolean(group.collapsed),
+    tabs: group.tabs.map((tab) => ({ title: tab.title || '', url: tab.url })),
+  }));
+}
+
+/**
+ * Reads saved workspaces, most recently updated first
+ * @returns {Promise<Array<{id: string, name: string, created: number, updated: number, groups: Array, tabs: Array}>>}
+ */
+export async function getWorkspaces() {
+  const stored = await chrome.storage.local.get(WORKSPACES_KEY);
+  return (stored[WORKSPACES_KEY] || []).sort((a, b) => b.updated - a.updated);
+}
+
+async function writeWorkspaces(workspaces) {
+  await chrome.storage.local.set({ [WORKSPACES_KEY]: workspaces });
+  return workspaces;
+}
+
+// Apply a change to one workspace and bump its updated time
+async function updateWorkspace(id, change) {
+  const workspaces = await getWorkspaces();
+  const workspace = workspaces.find((w) => w.id === id);
+  if (!workspace) throw new Error('Workspace not found');
+  change(workspace);
+  workspace.updated = Date.now();
+  await writeWorkspaces(workspaces);
+  return workspace;
+}
+
+/**
+ * Saves a new workspace
+ * @param {string} name - Display name
+ * @param {Array} groups - Workspace groups from groupsToWorkspaceGroups
+ * @returns {Promise<Object>} The stored workspace
+ */
+export async function createWorkspace(name, groups) {
+  const now = Date.now();
+  const workspace = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim() || 'Untitled workspace',
+    created: now,
+    updated: now,
+    groups,
+    tabs: [],
+  };
+  await writeWorkspaces([workspace, ...(await getWorkspaces())]);
+  return workspace;
+}
+
+/**
+ * Renames a workspace
+ * @param {string} id - Workspace ID
+ * @param {string} name - New name; blank names are ignored
+ * @returns {Promise<Object>} The updated workspace
+ */
+export async function renameWorkspace(id, name) {
+  return updateWorkspace(id, (workspace) => {
+    if (name.trim()) workspace.name = name.trim();
+  });
+}
+
+/**
+ * Replaces a workspace's contents, e.g. with the groups in the current window
+ * @param {string} id - Workspace ID
+ * @param {Array} groups - Workspace groups from groupsToWorkspaceGroups
+ * @returns {Promise<Object>} The updated workspace
+ */
+export async function replaceWorkspaceGroups(id, groups) {
+  return updateWorkspace(id, (workspace) => {
+    workspace.groups = groups;
+    workspace.tabs = [];
+  });
+}
+
+/**
+ * Adds a tab to a workspace, into the group with the same title if there is one
+ * @param {string} id - Workspace ID
+ * @param {{title: string, url: string}} tab - Tab to add
+ * @param {string} [groupTitle] - Title of the group the tab is in now
+ * @returns {Promise<Object>} The updated workspace
+ */
+export async function addTabToWorkspace(id, tab, groupTitle) {
+  return updateWorkspace(id, (workspace) => {
+    const entry = { title: tab.title || '', url: tab.url };
+    const key = (groupTitle || '').trim().toLowerCase();
+    const group = key ? workspace.groups.find((g) => g.title.trim().toLowerCase() === key) : null;
+    const list = group ? group.tabs : workspace.tabs;
+    if (!list.some((t) => t.url === entry.url)) list.push(entry);
+  });
+}
+
+/**
+ * Deletes a workspace
+ * @param {string} id - Workspace ID
+ */
+export async function deleteWorkspace(id) {
+  await writeWorkspaces((await getWorkspaces()).filter((w) => w.id !== id));
+}
@@ -9,12 +9,50 @@ export const sessions = {
   summarizer: null,
 };
 
-export const progress = {
-  languageModel: 0,
-  writer: 0,
-  summarizer: 0,
+// Download progress for models currently downloading, by session type
+export const progress = {};
+
+// Result of each API's availability() check: 'unavailable', 'downloadable', 'downloading' or 'available'
+export const availability = {
+  languageModel: 'unavailable',
+  writer: 'unavailable',
+  summarizer: 'unavailable',
 };
 
+const MODEL_APIS = {
+  languageModel: {
+    name: 'LanguageModel',
+    label: 'Language Model',
+    statusId: 'language-model',
+    options: {
+      expectedInputs: [{ type: 'text', languages: ['en'] }],
+      expectedOutputs: [{ type: 'text', languages: ['en'] }],
+    },
+  },
+  writer: {
+    name: 'Writer',
+    label: 'Writer',
+    statusId: 'writer',
+    options: {
+      expectedInputLanguages: ['en'],
+      expectedContextLanguages: ['en'],
+    },
+  },
+  summarizer: {
+    name: 'Summarizer',
+    label: 'Summarizer',
+    statusId: 'summarizer',
+    options: {
+      expectedInputLanguages: ['en'],
+      expectedContextLanguages: ['en'],
+      outputLanguage: 'en',
+    },
+  },
+};
+
+// Sessions being created, so concurrent callers share one create() call
+const creating = {};
+
 // Cache DOM elements for progress indicators (initialized on first use)
 let progressElements = null;
 
@@ -32,6 +70,12 @@ function getProgressElements() {
   return progressElements;
 }
 
+// Only models that are actually downloading get a progress row
+function showProgressRow(modelType, visible) {
+  const row = getProgressElements()[`${modelType}Progress`]?.closest('.progress-item');
+  if (row) row.style.display = visible ? '' : 'none';
+}
+
 /**
  * Cleans up AI sessions to prevent memory leaks
  * Should be called when sessions are no longer needed
@@ -78,133 +122,170 @@ export function updateModelProgress(modelType, percentage, callbacks) {
 
   // Update API status indicator
   if (percentage >= 100) {
-    callbacks.updateApiDownloadStatus(modelType === 'languageModel' ? 'language-model' : modelType, 'ready');
+    callbacks.updateApiDownloadStatus(MODEL_APIS[modelType].statusId, 'ready');
   } else if (percentage > 0) {
-    callbacks.updateApiDownloadStatus(
-      modelType === 'languageModel' ? 'language-model' : modelType,
-      'downloading',
-    );
+    callbacks.updateApiDownloadStatus(MODEL_APIS[modelType].statusId, 'downloading');
   }
 
   callbacks.checkAllModelsComplete();
 }
 
 export function checkAllModelsComplete(callbacks) {
-  const allComplete = Object.values(progress).every((p) => p >= 100);
+  const downloading = Object.keys(progress);
+  const allComplete = downloading.length > 0 && downloading.every((type) => progress[type] >= 100);
   if (allComplete) {
-    callbacks.log('✅ All models ready!', 'success');
-    callbacks.enableOrganiseButton();
+    downloading.forEach((type) => delete progress[type]);
+    callbacks.log('✅ Models ready!', 'success');
     // Keep progress visible briefly so user sees completion before hiding
     setTimeout(() => {
+      if (Object.keys(progress).length > 0) return; // Another download has started since
       callbacks.hideProgressContainer();
+      downloading.forEach((type) => showProgressRow(type, false));
     }, 2000);
   }
 }
 
 /**
- * Initializes all AI sessions (LanguageModel, Writer, Summarizer)
- * Downloads models if needed and monitors progress
- * @param {Object} callbacks - Object containing callback functions for UI updates
- * @throws {Error} If session initialization fails
+ * Checks each AI API on its own; a missing or unsupported API only turns off its own features
+ * @returns {Promise<Object>} Availability per session type
  */
-export async function initializeSessions(callbacks) {
-  const [lmStatus, summarizerStatus, writerStatus] = await Promise.all([
-    LanguageModel.availability({
-      expectedInputs: [{ type: 'text', languages: ['en'] }],
-      expectedOutputs: [{ type: 'text', languages: ['en'] }],
+export async function checkAvailability() {
+  await Promise.all(
+    Object.entries(MODEL_APIS).map(async ([type, api]) => {
+      if (!(api.name in globalThis)) {
+        availability[type] = 'unavailable';
+        return;
+      }
+      try {
+        availability[type] = await globalThis[api.name].availability(api.options);
+      } catch (error) {
+        console.warn(`Failed to check ${api.name} availability:`, error);
+        availability[type] = 'unavailable';
+      }
     }),
-    Summarizer.availability({
-      expectedInputs: [{ type: 'text', languages: ['en'] }],
-      expectedOutputs: [{ type: 'text', languages: ['en'] }],
-      outputLanguage: 'en',
-    }),
-    Writer.availability({
-      expectedInputLanguages: ['en'],
-      expectedContextLanguages: ['en'],
-    }),
-  ]);
-
-  if (
-    lmStatus !== 'available' ||
-    summarizerStatus !== 'available' ||
-    writerStatus !== 'available'
-  ) {
-    try {
-      callbacks.disableOrganiseButton();
-      callbacks.showProgressContainer();
-      callbacks.log('🔄 Initializing models sequentially...', 'info');
-
-      sessions.languageModel = await LanguageModel.create({
-        monitor(m) {
-          m.addEventListener('downloadprogress', (e) => {
-            updateModelProgress('languageModel', e.loaded * 100, callbacks);
-          });
-        },
-        expectedInputs: [{ type: 'text', languages: ['en'] }],
-        expectedOutputs: [{ type: 'text', languages: ['en'] }],
-      });
-
-      // Sequential initialization with delay to prevent concurrent download conflicts
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      sessions.writer = await Writer.create({
-        monitor(m) {
-          m.addEventListener('downloadprogress', (e) => {
-            updateModelProgress('writer', e.loaded * 100, callbacks);
-          });
-        },
-        expectedInputLanguages: ['en'],
-        expectedContextLanguages: ['en'],
-      });
-
-      // Sequential initialization with delay to prevent concurrent download conflicts
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      sessions.summarizer = await Summarizer.create({
-        monitor(m) {
-          m.addEventListener('downloadprogress', (e) => {
-            updateModelProgress('summarizer', e.loaded * 100, callbacks);
-          });
-        },
-        expectedInputLanguages: ['en'],
-        expectedContextLanguages: ['en'],
-        outputLanguage: 'en',
-      });
-      callbacks.log('✅ All models ready!', 'success');
-    } catch (error) {
-      console.error('Sequential creation failed:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack,
-      });
-      callbacks.log(`❌ Failed to initialize: ${error.message}`, 'error');
-      callbacks.enableOrganiseButton();
-      callbacks.hideProgressContainer();
+  );
+  return { ...availability };
+}
+
+/**
+ * Whether a session type can be used, possibly after a download
+ * @param {'languageModel'|'writer'|'summarizer'} type - Session type
+ * @returns {boolean}
+ */
+export function isAvailable(type) {
+  return availability[type] !== 'unavailable';
+}
+
+async function createSession(type, callbacks, signal) {
+  const api = MODEL_APIS[type];
+  const needsDownload = availability[type] !== 'available';
+
+  if (needsDownload) {
+    callbacks.log(`🔄 Downloading the ${api.label} model...`, 'info');
+    progress[type] = 0;
+    showProgressRow(type, true);
+    callbacks.showProgressContainer();
+  }
+
+  try {
+    const session = await globalThis[api.name].create({
+      ...api.options,
+      signal,
+      monitor(m) {
+        m.addEventListener('downloadprogress', (e) => {
+          updateModelProgress(type, e.loaded * 100, callbacks);
+        });
+      },
+    });
+    availability[type] = 'available';
+    if (needsDownload) updateModelProgress(type, 100, callbacks);
+    else callbacks.updateApiDownloadStatus(api.statusId, 'ready');
+    return session;
+  } catch (error) {
+    if (needsDownload) {
+      delete progress[type];
+      showProgressRow(type, false);
+      if (Object.keys(progress).length === 0) callbacks.hideProgressContainer();
+    }
+
+    // A cancelled download can be started again later
+    if (signal?.aborted) {
+      callbacks.updateApiStatus(api.statusId, availability[type]);
       throw error;
     }
-  } else {
-    sessions.languageModel = await LanguageModel.create({
-      expectedInputs: [{ type: 'text', languages: ['en'] }],
-      expectedOutputs: [{ type: 'text', languages: ['en'] }],
-    });
 
-    sessions.writer = await Writer.create({
-      expectedInputLanguages: ['en'],
-      expectedContextLanguages: ['en'],
+    console.error(`${api.name} creation failed:`, {
+      name: error.name,
+      message: error.message,
+      stack: error.stack,
     });
+    callbacks.log(`❌ ${api.label} could not be started: ${error.message}`, 'error');
+    callbacks.updateApiDownloadStatus(api.statusId, 'unavailable');
+    return null;
+  }
+}
 
-    sessions.summarizer = await Summarizer.create({
-      expectedInputLanguages: ['en'],
-      expectedContextLanguages: ['en'],
-      outputLanguage: 'en',
+/**
+ * Returns the session of a type, creating it (and downloading its model) on first use
+ * @param {'languageModel'|'writer'|'summarizer'} type - Session type
+ * @param {Object} callbacks - Object containing callback functions for UI updates
+ * @param {AbortSignal} [signal] - Cancels the download; the promise then rejects with an AbortError
+ * @returns {Promise<Object|null>} Session, or null when the API is unavailable or failed to start
+ */
+export async function getSession(type, callbacks, signal) {
+  if (sessions[type]) return sessions[type];
+  if (!isAvailable(type)) return null;
+
+  creating[type] ??= createSession(type, callbacks, signal)
+    .then((session) => {
+      sessions[type] = session;
+      return session;
+    })
+    .finally(() => {
+      delete creating[type];
     });
-  }
+  return creating[type];
+}
+
+/**
+ * Prepares what a tidy needs: the language model if it is available
+ * The Writer and Summarizer are created when a group first needs them
+ * @param {Object} callbacks - Object containing callback functions for UI updates
+ * @param {AbortSignal} [signal] - Cancels a model download
+ * @returns {Promise<Object|null>} Language model session, or null to classify with heuristics
+ */
+export async function initializeSessions(callbacks, signal) {
+  if (!isAvailable('languageModel')) return null;
+  return getSession('languageModel', callbacks, signal);
+}
+
+// What each status dot's API powers, shown as its tooltip
+const API_FEATURES = {
+  'language-model': {
+    on: 'Classification, topic groups and Q&A',
+    off: 'Classification uses keyword and domain heuristics; topic groups and Q&A are off',
+  },
+  writer: { on: 'Group overviews', off: 'Group overviews are off' },
+  summarizer: { on: 'Group summaries', off: 'Group summaries are off' },
+};
+
+const STATE_TEXT = {
+  ready: 'ready',
+  available: 'ready',
+  downloadable: 'model downloads on first use',
+  downloading: 'model downloading',
+};
+
+function describeApiState(apiId, state) {
+  const features = API_FEATURES[apiId];
+  return STATE_TEXT[state] ? `${features.on}: ${STATE_TEXT[state]}` : features.off;
 }
 
 // Update API status indicators
 export function updateApiDownloadStatus(apiId, state) {
   const apiElement = document.getElementById(apiId);
   const indicator = apiElement.querySelector('.status-indicator');
+  apiElement.title = describeApiState(apiId, state);
 
   // Remove existing status classes
   indicator.classList.remove('status-ready', 'status-warning', 'status-error');
@@ -229,6 +310,7 @@ export function updateApiDownloadStatus(apiId, state) {
 export function updateApiStatus(apiId, status) {
   const apiElement = document.getElementById(apiId);
   const indicator = apiElement.querySelector('.status-indicator');
+  apiElement.title = describeApiState(apiId, status);
 
   // Remove existing status classes
   indicator.classList.remove('status-ready', 'status-warning', 'status-error');
@@ -240,6 +322,7 @@ export function updateApiStatus(apiId, status) {
       apiElement.classList.add('available');
       break;
     case 'downloadable':
+    case 'downloading':
       indicator.classList.add('status-warning'); // Orange for needs download
       apiElement.classList.add('available');
       break;
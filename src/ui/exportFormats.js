@@ -0,0 +1,200 @@
+// Export / Import Module
+// Serialises tab groups as Markdown, JSON or a Netscape bookmarks file, and reads JSON/HTML back
+
+import { GROUP_COLORS } from '../shared/taxonomy.js';
+
+const EXPORT_FORMAT = 'tab-tidy';
+const EXPORT_VERSION = 1;
+
+export const EXPORT_TYPES = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  bookmarks: { label: 'Bookmarks HTML', extension: 'html', mimeType: 'text/html' },
+};
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Square brackets would end the link text early
+const escapeMarkdownLinkText = (text) => String(text || '').replace(/([[\]])/g, '\\$1');
+
+/**
+ * Renders groups as Markdown, including generated summaries and overviews
+ * @param {Array} groups - Export groups: {title, summary?, overview?, tabs: [{title, url, label?, topic?}]}
+ * @returns {string} Markdown document
+ */
+export function toMarkdown(groups) {
+  const lines = ['# Tab Tidy export', '', `_Exported ${new Date().toLocaleString()}_`, ''];
+
+  groups.forEach((group) => {
+    lines.push(`## ${group.title}`, '');
+    if (group.summary) lines.push('**Summary**', '', group.summary.trim(), '');
+    if (group.overview) lines.push('**Overview**', '', group.overview.trim(), '');
+    group.tabs.forEach((tab) => {
+      const details = [tab.label, tab.topic].filter(Boolean).join(' · ');
+      lines.push(`- [${escapeMarkdownLinkText(tab.title || tab.url)}](${tab.url})${details ? ` — ${details}` : ''}`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders groups as structured JSON that fromJson can read back
+ * @param {Array} groups - Export groups
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJson(groups) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      groups: groups.map((group) => ({
+        name: group.name || group.title,
+        title: group.title,
+        color: group.color || null,
+        summary: group.summary || null,
+        overview: group.overview || null,
+        tabs: group.tabs.map((tab) => ({
+          title: tab.title || '',
+          url: tab.url,
+          label: tab.label || null,
+          topic: tab.topic || null,
+        })),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Renders groups as a Netscape bookmarks file, one folder per group
+ * @param {Array} groups - Export groups
+ * @returns {string} Bookmarks HTML that browsers can import
+ */
+export function toBookmarksHtml(groups) {
+  const addDate = Math.floor(Date.now() / 1000);
+  const folders = groups.map((group) => {
+    const links = group.tabs
+      .map((tab) => `            <DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`)
+      .join('\n');
+    return `        <DT><H3 ADD_DATE="${addDate}">${escapeHtml(group.title)}</H3>\n        <DL><p>\n${links}\n        </DL><p>`;
+  });
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3 ADD_DATE="${addDate}">Tab Tidy export</H3>`,
+    '    <DL><p>',
+    ...folders,
+    '    </DL><p>',
+    '</DL><p>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialises groups in one of the EXPORT_TYPES
+ * @param {Array} groups - Export groups
+ * @param {'markdown'|'json'|'bookmarks'} type - Export type
+ * @returns {string} File contents
+ */
+export function serializeGroups(groups, type) {
+  if (type === 'markdown') return toMarkdown(groups);
+  if (type === 'json') return toJson(groups);
+  if (type === 'bookmarks') return toBookmarksHtml(groups);
+  throw new Error(`Unknown export type: ${type}`);
+}
+
+/**
+ * Saves groups as a file through the browser's download prompt
+ * @param {Array} groups - Export groups
+ * @param {'markdown'|'json'|'bookmarks'} type - Export type
+ * @param {string} baseName - File name without extension
+ */
+export function downloadGroups(groups, type, baseName) {
+  const { extension, mimeType } = EXPORT_TYPES[type];
+  const blob = new Blob([serializeGroups(groups, type)], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${baseName.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'tab-tidy'}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Only web pages can be reopened as tabs
+const isWebUrl = (url) => /^https?:\/\//i.test(url || '');
+
+/**
+ * Reads groups from a JSON export
+ * @param {string} text - File contents
+ * @returns {Array<{title: string, color?: string, tabs: Array<{title: string, url: string}>}>} Groups
+ * @throws {Error} If the JSON has no groups
+ */
+export function fromJson(text) {
+  const data = JSON.parse(text);
+  const groups = Array.isArray(data) ? data : data?.groups;
+  if (!Array.isArray(groups)) throw new Error('Expected a Tab Tidy JSON export with a "groups" array');
+
+  return groups
+    .map((group) => ({
+      title: String(group.title || group.name || 'Imported'),
+      color: GROUP_COLORS.includes(group.color) ? group.color : undefined,
+      tabs: (Array.isArray(group.tabs) ? group.tabs : [])
+        .filter((tab) => isWebUrl(tab?.url))
+        .map((tab) => ({ title: String(tab.title || ''), url: tab.url })),
+    }))
+    .filter((group) => group.tabs.length > 0);
+}
+
+/**
+ * Reads groups from a bookmarks HTML file; each folder that directly holds links becomes a group
+ * @param {string} text - File contents
+ * @returns {Array<{title: string, tabs: Array<{title: string, url: string}>}>} Groups
+ */
+export function fromBookmarksHtml(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const byFolder = new Map();
+
+  doc.querySelectorAll('a[href]').forEach((link) => {
+    const url = link.getAttribute('href');
+    if (!isWebUrl(url)) return;
+
+    // The parser nests each folder's <DL> next to its <H3> inside the same <DT>
+    const list = link.closest('dl');
+    const heading = list?.previousElementSibling?.tagName === 'H3' ? list.previousElementSibling : null;
+    const title = heading?.textContent.trim() || 'Imported';
+
+    if (!byFolder.has(list)) byFolder.set(list, { title, tabs: [] });
+    byFolder.get(list).tabs.push({ title: link.textContent.trim(), url });
+  });
+
+  return [...byFolder.values()];
+}
+
+/**
+ * Reads groups from an exported JSON or bookmarks HTML file
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell the formats apart
+ * @returns {Array} Groups
+ * @throws {Error} If nothing could be read
+ */
+export function parseImport(text, fileName) {
+  const looksLikeJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const groups = looksLikeJson ? fromJson(text) : fromBookmarksHtml(text);
+  if (groups.length === 0) throw new Error('No web pages found in the file');
+  return groups;
+}
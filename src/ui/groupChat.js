@@ -0,0 +1,317 @@
+// Group Q&A Module
+// Answers questions about a group's tabs from their extracted content, citing the source tab
+import DOMPurify from 'dompurify';
+import { marked } from 'marked';
+import { readTextStream } from './streaming.js';
+
+// Characters per chunk, and how much consecutive chunks overlap
+const CHUNK_SIZE = 800;
+const CHUNK_OVERLAP = 100;
+
+// Rough characters per token, used to turn the model's remaining quota into a text budget
+const CHARS_PER_TOKEN = 3;
+
+// Share of the remaining quota given to page content; the rest is instructions, history and the answer
+const CONTEXT_SHARE = 0.6;
+
+// Earlier turns included so follow-up questions make sense
+const HISTORY_TURNS = 2;
+
+const STOP_WORDS = new Set(
+  'a an and are as at be but by do does for from has have how i in is it of on or that the these this those to was what when where which who why will with you'.split(
+    ' ',
+  ),
+);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+/**
+ * Splits text into overlapping chunks, preferring paragraph and sentence boundaries
+ * @param {string} text - Text to split
+ * @param {number} [size] - Maximum characters per chunk
+ * @param {number} [overlap] - Characters repeated at the start of the next chunk
+ * @returns {Array<string>} Chunks
+ */
+export function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const clean = (text || '').replace(/\s+\n/g, '\n').trim();
+  if (clean.length <= size) return clean ? [clean] : [];
+
+  const chunks = [];
+  let start = 0;
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) {
+      const window = clean.slice(start, end);
+      const cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. '));
+      if (cut > size / 2) end = start + cut + 1;
+    }
+    chunks.push(clean.slice(start, end).trim());
+    if (end >= clean.length) break;
+    // Start the overlap on a word boundary
+    start = Math.max(end - overlap, start + 1);
+    const space = clean.indexOf(' ', start);
+    if (space !== -1 && space < end) start = space + 1;
+  }
+  return chunks.filter(Boolean);
+}
+
+/**
+ * Turns a group's tabs into numbered sources and content chunks
+ * @param {Array} tabs - Tabs with extracted content (title, url, tabId, description, headings, body)
+ * @returns {{sources: Array<{n: number, tabId: number, title: string, url: string}>, chunks: Array<{n: number, text: string}>}}
+ */
+export function buildChunks(tabs) {
+  const sources = [];
+  const chunks = [];
+
+  tabs.forEach((tab, idx) => {
+    const n = idx + 1;
+    sources.push({ n, tabId: tab.tabId, title: tab.title || tab.url, url: tab.url });
+
+    const text = [
+      tab.description,
+      tab.headings?.length ? `Headings: ${tab.headings.join(' | ')}` : '',
+      tab.body,
+    ]
+      .filter(Boolean)
+      .join('\n');
+
+    // A tab without readable content still contributes its title
+    const pieces = chunkText(text);
+    (pieces.length > 0 ? pieces : ['']).forEach((piece) => {
+      chunks.push({ n, text: `Title: ${tab.title || tab.url}\n${piece}`.trim() });
+    });
+  });
+
+  return { sources, chunks };
+}
+
+/**
+ * Scores chunks against a question with BM25
+ * @param {Array<{text: string}>} chunks - Chunks from buildChunks
+ * @param {string} question - User question
+ * @returns {Array<number>} Score per chunk
+ */
+export function scoreChunks(chunks, question) {
+  const queryTerms = [...new Set(tokenize(question))];
+  const docs = chunks.map((chunk) => tokenize(chunk.text));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const k1 = 1.2;
+  const b = 0.75;
+
+  const docFreq = new Map(
+    queryTerms.map((term) => [term, docs.filter((d) => d.includes(term)).length]),
+  );
+
+  return docs.map((doc) => {
+    const counts = new Map();
+    doc.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+    return queryTerms.reduce((score, term) => {
+      const tf = counts.get(term) || 0;
+      if (!tf) return score;
+      const idf = Math.log(1 + (docs.length - docFreq.get(term) + 0.5) / (docFreq.get(term) + 0.5));
+      return score + (idf * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * doc.length) / (avgLength || 1)));
+    }, 0);
+  });
+}
+
+/**
+ * Picks the chunks to send: everything if it fits, otherwise the most relevant until the budget is spent
+ * @param {Array} chunks - Chunks from buildChunks
+ * @param {string} question - User question
+ * @param {number} budgetChars - Characters available for content
+ * @returns {{chunks: Array, retrieved: boolean}} Chunks in source order, and whether retrieval was needed
+ */
+export function selectChunks(chunks, question, budgetChars) {
+  const total = chunks.reduce((sum, c) => sum + c.text.length, 0);
+  if (total <= budgetChars) return { chunks, retrieved: false };
+
+  const scores = scoreChunks(chunks, question);
+  const ranked = chunks.map((chunk, idx) => ({ chunk, idx, score: scores[idx] })).sort((a, b) => b.score - a.score);
+
+  const picked = [];
+  let used = 0;
+  for (const entry of ranked) {
+    if (used + entry.chunk.text.length > budgetChars) continue;
+    picked.push(entry);
+    used += entry.chunk.text.length;
+  }
+
+  return { chunks: picked.sort((a, b) => a.idx - b.idx).map((e) => e.chunk), retrieved: true };
+}
+
+function buildPrompt(question, chunks, history) {
+  const context = chunks.map((c) => `[${c.n}] ${c.text}`).join('\n\n');
+  const previous = history
+    .slice(-HISTORY_TURNS)
+    .map((turn) => `Q: ${turn.question}\nA: ${turn.answer}`)
+    .join('\n\n');
+
+  return `Answer the question using only the numbered sources below. Each source is a browser tab.
+After every claim, cite the source it came from as [n], e.g. [2]. Cite several sources as [1][3].
+If the sources don't contain the answer, say so. Be concise.
+
+SOURCES:
+${context}
+${previous ? `\nEARLIER IN THIS CONVERSATION:\n${previous}\n` : ''}
+QUESTION: ${question}`;
+}
+
+// Link [n] citations in the answer's text to their tab. Code, links and numbers that
+// weren't among the sources sent with the question are left as plain text
+function renderAnswer(el, text, sources) {
+  el.innerHTML = DOMPurify.sanitize(marked.parse(text));
+
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement.closest('code, pre, a') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach((node) => {
+    const parts = node.textContent.split(/(\[\d+\])/);
+    if (parts.length === 1) return;
+
+    const fragment = document.createDocumentFragment();
+    parts.forEach((part) => {
+      const source = /^\[\d+\]$/.test(part) && sources.find((s) => s.n === Number(part.slice(1, -1)));
+      if (!source) {
+        if (part) fragment.appendChild(document.createTextNode(part));
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'citation';
+      link.dataset.tabId = source.tabId;
+      link.title = source.title;
+      link.textContent = part;
+      fragment.appendChild(link);
+    });
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Streams an answer to a question about a group's tabs
+ * @param {Object} baseSession - LanguageModel session; cloned so questions don't fill its context
+ * @param {Array} tabs - Tabs with extracted content
+ * @param {string} question - User question
+ * @param {Array} history - Earlier {question, answer} turns
+ * @param {Function} onText - Called with the full answer so far and the sources it can cite, as it streams
+ * @returns {Promise<{answer: string, sources: Array, retrieved: boolean, chunkCount: number, totalChunks: number}>}
+ */
+export async function answerQuestion(baseSession, tabs, question, history, onText) {
+  const session = await baseSession.clone();
+  try {
+    const { sources, chunks } = buildChunks(tabs);
+    const remaining = Math.max(0, (session.inputQuota || 4096) - (session.inputUsage || 0));
+    let budget = Math.floor(remaining * CONTEXT_SHARE * CHARS_PER_TOKEN);
+
+    let selection = selectChunks(chunks, question, budget);
+    let prompt = buildPrompt(question, selection.chunks, history);
+
+    // The character estimate can be off; shrink until the prompt really fits
+    if (typeof session.measureInputUsage === 'function') {
+      while (selection.chunks.length > 1 && (await session.measureInputUsage(prompt)) > remaining * 0.9) {
+        budget = Math.floor(budget * 0.75);
+        selection = selectChunks(chunks, question, budget);
+        selection.retrieved = true;
+        prompt = buildPrompt(question, selection.chunks, history);
+      }
+    }
+
+    // Only sources whose content was sent can be cited
+    const cited = sources.filter((source) => selection.chunks.some((chunk) => chunk.n === source.n));
+    const answer = await readTextStream(session.promptStreaming(prompt), (text) => onText(text, cited));
+
+    return {
+      answer,
+      sources,
+      retrieved: selection.retrieved,
+      chunkCount: selection.chunks.length,
+      totalChunks: chunks.length,
+    };
+  } finally {
+    session.destroy();
+  }
+}
+
+/**
+ * Builds the chat box shown inside an expanded group
+ * @param {Function} loadContent - Resolves to the group's tabs with extracted content (memoised by the caller)
+ * @param {Object} ai - {getSession(type)}; the language model session is created on first use
+ * @param {string} groupName - Group name for log messages
+ * @param {Function} [log] - Activity log callback
+ * @returns {HTMLElement} Chat element
+ */
+export function createGroupChat(loadContent, ai, groupName, log) {
+  const details = document.createElement('details');
+  details.className = 'overview-details chat-details';
+  details.innerHTML = `
+    <summary class="overview-summary">
+      <span class="overview-label">Ask about these tabs</span>
+      <span class="expand-icon">▼</span>
+    </summary>
+    <div class="group-chat">
+      <div class="chat-messages"></div>
+      <form class="chat-form">
+        <input type="text" class="chat-input" placeholder="e.g. Which of these allows pets?">
+        <button type="submit" class="btn-apply">Ask</button>
+      </form>
+    </div>
+  `;
+
+  const messages = details.querySelector('.chat-messages');
+  const form = details.querySelector('.chat-form');
+  const input = details.querySelector('.chat-input');
+  const askBtn = form.querySelector('button');
+  const history = [];
+
+  messages.addEventListener('click', (e) => {
+    const citation = e.target.closest('.citation');
+    if (!citation) return;
+    e.preventDefault();
+    chrome.tabs.update(parseInt(citation.dataset.tabId, 10), { active: true });
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const question = input.value.trim();
+    if (!question) return;
+
+    const questionEl = document.createElement('div');
+    questionEl.className = 'chat-question';
+    questionEl.textContent = question;
+    const answerEl = document.createElement('div');
+    answerEl.className = 'chat-answer summary-text';
+    answerEl.textContent = 'Reading tabs...';
+    messages.append(questionEl, answerEl);
+
+    input.value = '';
+    askBtn.disabled = true;
+    try {
+      const [tabs, languageModel] = await Promise.all([loadContent(), ai.getSession('languageModel')]);
+      if (!languageModel) throw new Error('the language model is not available');
+      answerEl.textContent = 'Thinking...';
+
+      const result = await answerQuestion(languageModel, tabs, question, history, (text, sources) => {
+        renderAnswer(answerEl, text, sources);
+      });
+
+      history.push({ question, answer: result.answer });
+      if (result.retrieved) {
+        log?.(`🔎 ${groupName}: used the ${result.chunkCount} most relevant of ${result.totalChunks} content chunks`);
+      }
+    } catch (error) {
+      answerEl.textContent = `Could not answer: ${error.message}`;
+      log?.(`❌ Q&A failed for ${groupName}: ${error.message}`);
+    } finally {
+      askBtn.disabled = false;
+    }
+  });
+
+  return details;
+}
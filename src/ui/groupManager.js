@@ -1,4 +1,5 @@
 // Tab Group Management Module
+import { displayArchives } from './uiRenderer.js';
 
 // Ungroup a specific category
 export async function ungroupCategory(categoryName, buttonElement, logCallback) {
@@ -87,3 +88,117 @@ export function updateUngroupAllButton(hasGroups) {
     ungroupBtn.disabled = !hasGroups;
   }
 }
+
+// Restore the browser to how it was before the last tidy
+export async function undoLastTidy(logCallback, refreshCallback) {
+  const btn = document.getElementById('undo-tidy');
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = 'Undoing...';
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'UNDO_LAST_TIDY' });
+
+    if (response?.ok) {
+      logCallback(`↩️ Undid last tidy: reopened ${response.reopened} tab(s), restored ${response.regrouped} group(s)`);
+      document.getElementById('results').style.display = 'none';
+      await refreshCallback();
+      updateUndoButton(response.remaining > 0);
+    } else {
+      logCallback(`Error undoing tidy: ${response?.error || 'Unknown error'}`);
+      updateUndoButton(false);
+    }
+  } catch (error) {
+    logCallback(`Error undoing tidy: ${error.message}`);
+  } finally {
+    if (btn) btn.textContent = 'Undo last tidy';
+  }
+}
+
+// Enable the undo button only when a snapshot is stored
+export async function refreshUndoButton() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TIDY_SNAPSHOTS' });
+    updateUndoButton(response?.ok && response.snapshots.length > 0);
+  } catch (error) {
+    console.error('Error reading tidy snapshots:', error);
+  }
+}
+
+// Update the undo button state
+export function updateUndoButton(hasSnapshot) {
+  const undoBtn = document.getElementById('undo-tidy');
+  if (undoBtn) {
+    undoBtn.disabled = !hasSnapshot;
+  }
+}
+
+// Bookmark groups in the side panel's window into the archive folder and close their tabs
+// Pass group IDs to archive just those; otherwise every group in the window is archived
+export async function archiveGroups(groupIds, buttonElement, logCallback) {
+  const originalText = buttonElement?.textContent;
+  try {
+    if (buttonElement) {
+      buttonElement.disabled = true;
+      buttonElement.textContent = 'Archiving...';
+    }
+
+    const { id: windowId } = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({ type: 'ARCHIVE_GROUPS', groupIds, windowId });
+
+    if (response?.ok) {
+      response.archived.forEach((a) => logCallback(`🗄️ Archived ${a.title}: ${a.count} tab(s) bookmarked and closed`));
+      if (response.archived.length === 0) logCallback('ℹ️ No tab groups to archive');
+
+      // Keep the group listed if it was already gone or is in another window
+      if (groupIds && response.archived.length > 0) {
+        buttonElement?.closest('.group-item')?.remove();
+      }
+      if (!groupIds || document.querySelectorAll('.group-item').length === 0) {
+        document.getElementById('results').style.display = 'none';
+      }
+      await loadArchives(logCallback);
+    } else {
+      logCallback(`Error archiving: ${response?.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    logCallback(`Error archiving: ${error.message}`);
+  } finally {
+    if (buttonElement?.isConnected) {
+      buttonElement.disabled = false;
+      buttonElement.textContent = originalText;
+    }
+  }
+}
+
+// List archived folders in the side panel
+export async function loadArchives(logCallback) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ARCHIVES' });
+    if (response?.ok) {
+      displayArchives(response.archives, (archive) => restoreArchive(archive, logCallback));
+    }
+  } catch (error) {
+    console.error('Error loading archives:', error);
+  }
+}
+
+// Reopen an archived folder as a tab group in this window
+async function restoreArchive(archive, logCallback) {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESTORE_ARCHIVE',
+      folderId: archive.id,
+      windowId: currentWindow.id,
+    });
+    if (response?.ok) {
+      logCallback(`📂 Restored ${archive.title}: ${response.opened} tab(s)`);
+    } else {
+      logCallback(`Error restoring ${archive.title}: ${response?.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    logCallback(`Error restoring ${archive.title}: ${error.message}`);
+  }
+}
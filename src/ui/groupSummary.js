@@ -0,0 +1,148 @@
+// Group Summary Module
+// Summarises a group's page content, splitting it up when it exceeds the Summarizer's input quota
+import { readTextStream } from './streaming.js';
+
+const SEPARATOR = '\n\n---\n\n';
+
+// Bodies are halved until the tab fits; below this a tab is skipped instead
+const MIN_BODY_CHARS = 200;
+
+// Levels of combining partial summaries before giving up
+const MAX_COMBINE_LEVELS = 3;
+
+function formatTab(tab, body = tab.body || '') {
+  const lines = [`Title: ${tab.title}`, `URL: ${tab.url}`];
+  if (tab.description) lines.push(`Description: ${tab.description}`);
+  if (tab.headings?.length) lines.push(`Headings: ${tab.headings.join(' | ')}`);
+  lines.push(`Content: ${body}`);
+  return lines.join('\n');
+}
+
+/**
+ * Summarises a group's tabs, streaming the final summary
+ * Input within the quota is summarised in one pass. Larger input is packed into parts that
+ * each fit, the parts are summarised, and their summaries are combined into the group summary.
+ * @param {Object} session - Summarizer session
+ * @param {Array} tabs - Tabs with extracted content
+ * @param {string} groupName - Group name, used as context
+ * @param {{signal: AbortSignal, onText: Function}} stream - Abort signal and partial-text callback
+ * @returns {Promise<{summary: string, parts: number, tabs: Array<{title: string, url: string, status: 'included'|'shortened'|'skipped'}>}>}
+ */
+export async function summarizeGroup(session, tabs, groupName, { signal, onText }) {
+  const context = `These web pages are all related to ${groupName}. Summarize the key themes and topics.`;
+  const quota = session.inputQuota || Infinity;
+
+  // Browsers without measureInputUsage get the single-pass behaviour
+  const fits = async (text) =>
+    typeof session.measureInputUsage !== 'function' ||
+    (await session.measureInputUsage(text, { context, signal })) <= quota;
+
+  const combined = tabs.map((tab) => formatTab(tab)).join(SEPARATOR);
+  if (await fits(combined)) {
+    const summary = await readTextStream(session.summarizeStreaming(combined, { context, signal }), onText);
+    return {
+      summary,
+      parts: 1,
+      tabs: tabs.map((tab) => ({ title: tab.title, url: tab.url, status: 'included' })),
+    };
+  }
+
+  // Every tab has to fit on its own; shorten long pages and skip what still won't fit
+  onText('_Too much content for one pass; measuring each tab..._');
+  const coverage = [];
+  const texts = [];
+  for (const tab of tabs) {
+    let body = tab.body || '';
+    let text = formatTab(tab, body);
+    let status = 'included';
+    let tabFits = await fits(text);
+    while (!tabFits && body.length > MIN_BODY_CHARS) {
+      body = body.slice(0, Math.floor(body.length / 2));
+      text = formatTab(tab, body);
+      status = 'shortened';
+      tabFits = await fits(text);
+    }
+    if (!tabFits) status = 'skipped';
+
+    coverage.push({ title: tab.title, url: tab.url, status });
+    if (status !== 'skipped') texts.push(text);
+  }
+  if (texts.length === 0) throw new Error('every tab is too long for the summarizer');
+
+  // Summarise parts, then the parts' summaries, until the result fits in one pass
+  let layer = texts;
+  let parts = 0;
+  for (let level = 0; !(await fits(layer.join(SEPARATOR))); level++) {
+    const batches = await packBatches(layer, fits);
+    // Tabs that each fit but not in pairs are fine on the first level; after that,
+    // summaries that pack no tighter than their input would never converge
+    if (level >= MAX_COMBINE_LEVELS || (level > 0 && batches.length === layer.length)) {
+      throw new Error('the group is too large to summarise');
+    }
+
+    const summaries = [];
+    for (const [idx, batch] of batches.entries()) {
+      onText(`_Summarising part ${idx + 1} of ${batches.length}..._`);
+      summaries.push(await session.summarize(batch.join(SEPARATOR), { context, signal }));
+    }
+    if (level === 0) parts = batches.length;
+    layer = summaries;
+  }
+
+  onText('_Combining summaries..._');
+  const summary = await readTextStream(
+    session.summarizeStreaming(layer.join(SEPARATOR), {
+      context: `These are summaries of parts of a group of web pages about ${groupName}. Combine them into one summary of the key themes and topics.`,
+      signal,
+    }),
+    onText,
+  );
+
+  return { summary, parts: Math.max(parts, 1), tabs: coverage };
+}
+
+// Packs texts in order into as few batches as possible, each within the quota
+async function packBatches(texts, fits) {
+  const batches = [];
+  let current = [];
+  for (const text of texts) {
+    if (current.length > 0 && !(await fits([...current, text].join(SEPARATOR)))) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(text);
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Renders which tabs a summary was based on
+ * Nothing is shown when every tab went into a single pass
+ * @param {HTMLElement} container - Element to render into
+ * @param {{parts: number, tabs: Array}} result - Result from summarizeGroup
+ */
+export function renderSummaryCoverage(container, result) {
+  container.innerHTML = '';
+  if (result.parts === 1 && result.tabs.every((tab) => tab.status === 'included')) return;
+  const used = result.tabs.filter((tab) => tab.status !== 'skipped').length;
+
+  const details = document.createElement('details');
+  const heading = document.createElement('summary');
+  heading.textContent = `Based on ${used} of ${result.tabs.length} tabs${
+    result.parts > 1 ? `, summarised in ${result.parts} parts` : ''
+  }`;
+  details.appendChild(heading);
+
+  const labels = { included: '✓', shortened: '✂ shortened', skipped: '✗ skipped (too long)' };
+  const list = document.createElement('ul');
+  result.tabs.forEach((tab) => {
+    const item = document.createElement('li');
+    item.className = `coverage-${tab.status}`;
+    item.textContent = `${labels[tab.status]} ${tab.title || tab.url}`;
+    item.title = tab.url;
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+  container.appendChild(details);
+}
@@ -0,0 +1,80 @@
+// Heuristic Classification Module
+// Keyword and domain matching used when no language model is available
+import { FALLBACK_CATEGORY } from '../shared/taxonomy.js';
+
+// Well-known sites for the default categories; entries ending in "." match any TLD
+const KNOWN_SITES = {
+  News: ['bbc.com', 'bbc.co.uk', 'cnn.com', 'nytimes.com', 'theguardian.com', 'reuters.com', 'apnews.com', 'npr.org', 'news.google.com', 'washingtonpost.com', 'aljazeera.com'],
+  Sports: ['espn.com', 'nba.com', 'nfl.com', 'mlb.com', 'nhl.com', 'fifa.com', 'uefa.com', 'skysports.com', 'theathletic.com'],
+  Shopping: ['amazon.', 'ebay.', 'etsy.com', 'walmart.com', 'target.com', 'aliexpress.com', 'bestbuy.com', 'ikea.com'],
+  Travel: ['booking.com', 'airbnb.', 'expedia.', 'tripadvisor.', 'kayak.', 'skyscanner.', 'hotels.com', 'maps.google.com'],
+  Learning: ['wikipedia.org', 'coursera.org', 'khanacademy.org', 'udemy.com', 'edx.org', 'duolingo.com', 'britannica.com'],
+  Work: ['mail.google.com', 'calendar.google.com', 'docs.google.com', 'drive.google.com', 'outlook.', 'slack.com', 'notion.so', 'atlassian.net', 'zoom.us', 'trello.com', 'asana.com', 'linear.app'],
+  Development: ['github.com', 'gitlab.com', 'bitbucket.org', 'stackoverflow.com', 'developer.mozilla.org', 'npmjs.com', 'pypi.org', 'readthedocs.io', 'dev.to'],
+  Social: ['twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'reddit.com', 'linkedin.com', 'tiktok.com', 'bsky.app', 'threads.net', 'discord.com'],
+  Finance: ['paypal.com', 'bloomberg.com', 'finance.yahoo.com', 'coinbase.com', 'robinhood.com', 'wise.com', 'investing.com'],
+  Entertainment: ['youtube.com', 'netflix.com', 'spotify.com', 'twitch.tv', 'imdb.com', 'primevideo.com', 'disneyplus.com', 'hulu.com', 'soundcloud.com', 'steampowered.com'],
+};
+
+// Extra words for the default categories, on top of each category's name and description
+const KNOWN_KEYWORDS = {
+  News: ['breaking', 'headline', 'headlines', 'politics', 'election', 'report', 'live'],
+  Sports: ['score', 'scores', 'match', 'league', 'football', 'soccer', 'basketball', 'tennis', 'cricket', 'fixtures'],
+  Shopping: ['buy', 'cart', 'price', 'deal', 'deals', 'sale', 'shop', 'order', 'checkout'],
+  Travel: ['flight', 'flights', 'hotel', 'hotels', 'trip', 'booking', 'vacation', 'holiday', 'airport'],
+  Learning: ['course', 'tutorial', 'guide', 'learn', 'lesson', 'lecture', 'wiki'],
+  Work: ['inbox', 'meeting', 'calendar', 'ticket', 'project', 'sprint', 'roadmap', 'invoice'],
+  Development: ['code', 'api', 'sdk', 'javascript', 'typescript', 'python', 'rust', 'error', 'repository', 'pull', 'docs'],
+  Social: ['post', 'profile', 'feed', 'followers', 'thread', 'community', 'messages'],
+  Finance: ['bank', 'banking', 'invest', 'stock', 'stocks', 'crypto', 'budget', 'loan', 'tax', 'mortgage'],
+  Entertainment: ['watch', 'video', 'music', 'movie', 'film', 'episode', 'stream', 'game', 'trailer', 'playlist'],
+};
+
+// Words that say nothing about a category
+const IGNORED_WORDS = new Set(['and', 'the', 'for', 'with', 'that', 'fits', 'none', 'other', 'anything', 'categories']);
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+function matchesSite(host, site) {
+  const dotted = `.${host}`;
+  return site.endsWith('.') ? dotted.includes(`.${site}`) : host === site || host.endsWith(`.${site}`);
+}
+
+function keywordsFor(category) {
+  const words = [...tokenize(category.name), ...tokenize(category.description), ...(KNOWN_KEYWORDS[category.name] || [])];
+  return new Set(words.filter((w) => w.length > 2 && !IGNORED_WORDS.has(w)));
+}
+
+/**
+ * Classifies a tab without a model: known sites first, then keywords in the title, host and content
+ * Only categories in the taxonomy are used; tabs that match nothing get the fallback category
+ * @param {Object} tabMeta - Tab metadata (title, host, body)
+ * @param {Array} taxonomy - Categories the label must come from
+ * @returns {{label: string, topic: string, heuristic: boolean}} Classification result
+ */
+export function classifyByHeuristic(tabMeta, taxonomy) {
+  const { title = '', host = '', body = '' } = tabMeta;
+  const topic = (title || host || 'Unknown').slice(0, 60);
+  const bareHost = host.toLowerCase().replace(/^www\./, '');
+  const categories = taxonomy.filter((c) => c.name !== FALLBACK_CATEGORY);
+
+  const bySite = categories.find((c) => (KNOWN_SITES[c.name] || []).some((site) => matchesSite(bareHost, site)));
+  if (bySite) return { label: bySite.name, topic, heuristic: true };
+
+  // Title and host words count more than page content
+  const titleWords = tokenize(`${title} ${bareHost}`);
+  const bodyWords = tokenize(body);
+  let best = null;
+  let bestScore = 0;
+  categories.forEach((category) => {
+    const keywords = keywordsFor(category);
+    const score =
+      titleWords.filter((w) => keywords.has(w)).length * 3 + bodyWords.filter((w) => keywords.has(w)).length;
+    if (score > bestScore) {
+      best = category;
+      bestScore = score;
+    }
+  });
+
+  return { label: best?.name || FALLBACK_CATEGORY, topic, heuristic: true };
+}
@@ -0,0 +1,444 @@
+// Options Page
+import { getSettings, saveSettingsSection } from '../shared/settings.js';
+import {
+  loadClassificationCache,
+  clearClassificationCache,
+  MAX_CACHE_ENTRIES,
+} from '../shared/classificationCache.js';
+import { DEFAULT_TAXONOMY, GROUP_COLORS, getTaxonomy, saveTaxonomy } from '../shared/taxonomy.js';
+import { getRules, saveRules, parseRulesJson, exportRulesJson } from '../shared/classificationRules.js';
+
+const saveStatus = document.getElementById('save-status');
+
+// Show a short-lived confirmation (or error) at the top of the page
+function showStatus(message, isError = false) {
+  saveStatus.classList.toggle('error', isError);
+  saveStatus.textContent = message;
+  setTimeout(() => {
+    if (saveStatus.textContent === message) saveStatus.textContent = '';
+  }, 2000);
+}
+
+// Wire the move up/down and remove buttons of an editable table row
+function bindRowButtons(row) {
+  row.querySelector('.remove-row-btn').addEventListener('click', () => row.remove());
+  row.querySelectorAll('.move-row-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.dir === 'up' && row.previousElementSibling) {
+        row.parentNode.insertBefore(row, row.previousElementSibling);
+      } else if (btn.dataset.dir === 'down' && row.nextElementSibling) {
+        row.parentNode.insertBefore(row.nextElementSibling, row);
+      }
+    });
+  });
+}
+
+const splitList = (value) =>
+  value
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// ----- Topic grouping -----
+
+const maxTopicGroupsInput = document.getElementById('max-topic-groups');
+const minTopicGroupSizeInput = document.getElementById('min-topic-group-size');
+
+function renderOrganiseSettings(organise) {
+  maxTopicGroupsInput.value = organise.maxTopicGroups;
+  minTopicGroupSizeInput.value = organise.minTopicGroupSize;
+}
+
+document.getElementById('save-organise').addEventListener('click', async () => {
+  const { organise } = await getSettings();
+  const settings = await saveSettingsSection('organise', {
+    ...organise,
+    maxTopicGroups: Math.max(1, parseInt(maxTopicGroupsInput.value, 10) || organise.maxTopicGroups),
+    minTopicGroupSize: Math.max(1, parseInt(minTopicGroupSizeInput.value, 10) || organise.minTopicGroupSize),
+  });
+  renderOrganiseSettings(settings.organise);
+  renderExtractionSettings(settings.extraction);
+  showStatus('✅ Topic grouping settings saved');
+});
+
+// ----- Tab order -----
+
+const groupOrderSelect = document.getElementById('group-order');
+const tabOrderSelect = document.getElementById('tab-order');
+const collapseInactiveInput = document.getElementById('collapse-inactive');
+
+function renderOrderSettings(organise) {
+  groupOrderSelect.value = organise.groupOrder;
+  tabOrderSelect.value = organise.tabOrder;
+  collapseInactiveInput.checked = organise.collapseInactive;
+}
+
+document.getElementById('save-order').addEventListener('click', async () => {
+  const { organise } = await getSettings();
+  const settings = await saveSettingsSection('organise', {
+    ...organise,
+    groupOrder: groupOrderSelect.value,
+    tabOrder: tabOrderSelect.value,
+    collapseInactive: collapseInactiveInput.checked,
+  });
+  renderOrderSettings(settings.organise);
+  showStatus('✅ Tab order settings saved');
+});
+
+// ----- Page content -----
+
+const classifyWithSelect = document.getElementById('classify-with');
+const maxCharsInput = document.getElementById('extraction-max-chars');
+const concurrencyInput = document.getElementById('extraction-concurrency');
+const timeoutInput = document.getElementById('extraction-timeout');
+
+const clampInt = (value, min, max, fallback) => Math.min(Math.max(parseInt(value, 10) || fallback, min), max);
+
+function renderExtractionSettings(extraction) {
+  classifyWithSelect.value = extraction.classifyWith;
+  maxCharsInput.value = extraction.maxChars;
+  concurrencyInput.value = extraction.concurrency;
+  timeoutInput.value = extraction.timeoutMs;
+}
+
+document.getElementById('save-extraction').addEventListener('click', async () => {
+  const { extraction } = await getSettings();
+  const settings = await saveSettingsSection('extraction', {
+    ...extraction,
+    classifyWith: classifyWithSelect.value,
+    maxChars: clampInt(maxCharsInput.value, 200, 20000, extraction.maxChars),
+    concurrency: clampInt(concurrencyInput.value, 1, 10, extraction.concurrency),
+    timeoutMs: clampInt(timeoutInput.value, 500, 60000, extraction.timeoutMs),
+  });
+  renderExtractionSettings(settings.extraction);
+  showStatus('✅ Page content settings saved');
+});
+
+// ----- Auto-file -----
+
+const autoFileEnabledInput = document.getElementById('auto-file-enabled');
+const autoFileDebounceInput = document.getElementById('auto-file-debounce');
+const autoFileExcludeInput = document.getElementById('auto-file-exclude');
+
+function renderAutoFileSettings(autoFile) {
+  autoFileEnabledInput.checked = autoFile.enabled;
+  autoFileDebounceInput.value = autoFile.debounceMs;
+  autoFileExcludeInput.value = autoFile.excludeSites.join('\n');
+}
+
+document.getElementById('save-auto-file').addEventListener('click', async () => {
+  const { autoFile } = await getSettings();
+  const settings = await saveSettingsSection('autoFile', {
+    enabled: autoFileEnabledInput.checked,
+    debounceMs: clampInt(autoFileDebounceInput.value, 0, 30000, autoFile.debounceMs),
+    excludeSites: autoFileExcludeInput.value
+      .split('\n')
+      .map((site) => site.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, ''))
+      .filter(Boolean),
+  });
+  renderAutoFileSettings(settings.autoFile);
+  showStatus('✅ Auto-file settings saved');
+});
+
+// ----- Stale tabs -----
+
+const staleDaysInput = document.getElementById('stale-days');
+const protectPinnedInput = document.getElementById('stale-protect-pinned');
+const protectAudibleInput = document.getElementById('stale-protect-audible');
+const protectUserGroupsInput = document.getElementById('stale-protect-user-groups');
+
+function renderStaleSettings(stale) {
+  staleDaysInput.value = stale.days;
+  protectPinnedInput.checked = stale.protect.pinned;
+  protectAudibleInput.checked = stale.protect.audible;
+  protectUserGroupsInput.checked = stale.protect.userGroups;
+}
+
+document.getElementById('save-stale').addEventListener('click', async () => {
+  const { stale } = await getSettings();
+  const settings = await saveSettingsSection('stale', {
+    days: clampInt(staleDaysInput.value, 1, 365, stale.days),
+    protect: {
+      pinned: protectPinnedInput.checked,
+      audible: protectAudibleInput.checked,
+      userGroups: protectUserGroupsInput.checked,
+    },
+  });
+  renderStaleSettings(settings.stale);
+  showStatus('✅ Stale tab settings saved');
+});
+
+// ----- Archive -----
+
+const archiveFolderInput = document.getElementById('archive-folder-name');
+
+function renderArchiveSettings(archive) {
+  archiveFolderInput.value = archive.folderName;
+}
+
+document.getElementById('save-archive').addEventListener('click', async () => {
+  const { archive } = await getSettings();
+  const settings = await saveSettingsSection('archive', {
+    folderName: archiveFolderInput.value.trim() || archive.folderName,
+  });
+  renderArchiveSettings(settings.archive);
+  showStatus('✅ Archive settings saved');
+});
+
+// ----- Categories -----
+
+const taxonomyBody = document.getElementById('taxonomy');
+
+function createCategoryRow(category = {}) {
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input type="text" data-field="name" placeholder="Customer X"></td>
+    <td><input type="text" data-field="description" placeholder="What belongs here"></td>
+    <td><select data-field="color"></select></td>
+    <td><input type="text" data-field="emoji" class="emoji-input" maxlength="4"></td>
+    <td class="row-buttons">
+      <button class="move-row-btn" data-dir="up" title="Move up">▲</button>
+      <button class="move-row-btn" data-dir="down" title="Move down">▼</button>
+      <button class="remove-row-btn" title="Remove category">✕</button>
+    </td>
+  `;
+
+  const colorSelect = row.querySelector('[data-field="color"]');
+  GROUP_COLORS.forEach((color) => {
+    const option = document.createElement('option');
+    option.value = color;
+    option.textContent = color;
+    colorSelect.appendChild(option);
+  });
+
+  row.querySelector('[data-field="name"]').value = category.name || '';
+  row.querySelector('[data-field="description"]').value = category.description || '';
+  colorSelect.value = category.color || 'grey';
+  row.querySelector('[data-field="emoji"]').value = category.emoji || '';
+
+  bindRowButtons(row);
+
+  return row;
+}
+
+function readTaxonomy() {
+  return [...taxonomyBody.querySelectorAll('tr')].map((row) => ({
+    name: row.querySelector('[data-field="name"]').value,
+    description: row.querySelector('[data-field="description"]').value,
+    color: row.querySelector('[data-field="color"]').value,
+    emoji: row.querySelector('[data-field="emoji"]').value,
+  }));
+}
+
+function renderTaxonomy(taxonomy) {
+  taxonomyBody.innerHTML = '';
+  taxonomy.forEach((category) => taxonomyBody.appendChild(createCategoryRow(category)));
+}
+
+document.getElementById('add-category').addEventListener('click', () => {
+  taxonomyBody.appendChild(createCategoryRow());
+});
+
+document.getElementById('reset-taxonomy').addEventListener('click', () => {
+  renderTaxonomy(DEFAULT_TAXONOMY);
+});
+
+document.getElementById('save-taxonomy').addEventListener('click', async () => {
+  const taxonomy = await saveTaxonomy(readTaxonomy());
+  renderTaxonomy(taxonomy);
+  // Rule category pickers list the taxonomy
+  renderRules(readRules(), taxonomy);
+  showStatus('✅ Categories saved');
+});
+
+// ----- Rules -----
+
+const rulesBody = document.getElementById('rules');
+let ruleCategories = [];
+
+function createRuleRow(rule = {}) {
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input type="checkbox" data-field="enabled"></td>
+    <td><input type="number" data-field="priority" class="priority-input"></td>
+    <td><input type="text" data-field="name" placeholder="Jira"></td>
+    <td><input type="text" data-field="hostGlob" placeholder="*.atlassian.net"></td>
+    <td><input type="text" data-field="pathRegex" placeholder="^/browse/"></td>
+    <td><input type="text" data-field="titleKeywords" placeholder="standup, retro"></td>
+    <td><select data-field="category"></select></td>
+    <td class="row-buttons">
+      <button class="move-row-btn" data-dir="up" title="Move up">▲</button>
+      <button class="move-row-btn" data-dir="down" title="Move down">▼</button>
+      <button class="remove-row-btn" title="Remove rule">✕</button>
+    </td>
+  `;
+
+  const categorySelect = row.querySelector('[data-field="category"]');
+  const names = ruleCategories.map((c) => c.name);
+  // Keep a rule's category visible even if it was removed from the taxonomy
+  if (rule.category && !names.includes(rule.category)) names.push(rule.category);
+  names.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    categorySelect.appendChild(option);
+  });
+
+  row.querySelector('[data-field="enabled"]').checked = rule.enabled !== false;
+  row.querySelector('[data-field="priority"]').value = rule.priority ?? 0;
+  row.querySelector('[data-field="name"]').value = rule.name || '';
+  row.querySelector('[data-field="hostGlob"]').value = rule.hostGlob || '';
+  row.querySelector('[data-field="pathRegex"]').value = rule.pathRegex || '';
+  row.querySelector('[data-field="titleKeywords"]').value = (rule.titleKeywords || []).join(', ');
+  if (rule.category) categorySelect.value = rule.category;
+
+  bindRowButtons(row);
+
+  return row;
+}
+
+function readRules() {
+  return [...rulesBody.querySelectorAll('tr')].map((row) => ({
+    enabled: row.querySelector('[data-field="enabled"]').checked,
+    priority: Number(row.querySelector('[data-field="priority"]').value) || 0,
+    name: row.querySelector('[data-field="name"]').value,
+    hostGlob: row.querySelector('[data-field="hostGlob"]').value,
+    pathRegex: row.querySelector('[data-field="pathRegex"]').value,
+    titleKeywords: splitList(row.querySelector('[data-field="titleKeywords"]').value),
+    category: row.querySelector('[data-field="category"]').value,
+  }));
+}
+
+function renderRules(rules, taxonomy) {
+  ruleCategories = taxonomy;
+  rulesBody.innerHTML = '';
+  rules.forEach((rule) => rulesBody.appendChild(createRuleRow(rule)));
+}
+
+document.getElementById('add-rule').addEventListener('click', () => {
+  rulesBody.appendChild(createRuleRow());
+});
+
+document.getElementById('save-rules').addEventListener('click', async () => {
+  try {
+    const rules = await saveRules(readRules());
+    renderRules(rules, ruleCategories);
+    showStatus('✅ Rules saved');
+  } catch (error) {
+    showStatus(`❌ ${error.message}`, true);
+  }
+});
+
+document.getElementById('export-rules').addEventListener('click', () => {
+  const blob = new Blob([exportRulesJson(readRules())], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'tab-tidy-rules.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+const importRulesFile = document.getElementById('import-rules-file');
+
+document.getElementById('import-rules').addEventListener('click', () => importRulesFile.click());
+
+importRulesFile.addEventListener('change', async () => {
+  const file = importRulesFile.files[0];
+  importRulesFile.value = '';
+  if (!file) return;
+
+  try {
+    const rules = parseRulesJson(await file.text());
+    renderRules(rules, ruleCategories);
+    showStatus(`📥 Imported ${rules.length} rule(s). Review and Save to keep them.`);
+  } catch (error) {
+    showStatus(`❌ Import failed: ${error.message}`, true);
+  }
+});
+
+// ----- Duplicate detection -----
+
+const keepPolicySelect = document.getElementById('keep-policy');
+const siteRulesBody = document.getElementById('site-rules');
+
+function createSiteRuleRow(rule = {}) {
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input type="text" data-field="host" placeholder="example.com"></td>
+    <td><input type="text" data-field="keepParams" placeholder="v, t"></td>
+    <td><input type="text" data-field="dropParams" placeholder="session"></td>
+    <td><input type="checkbox" data-field="ignoreQuery"></td>
+    <td><input type="checkbox" data-field="keepFragment"></td>
+    <td><button class="remove-row-btn" title="Remove rule">✕</button></td>
+  `;
+
+  row.querySelector('[data-field="host"]').value = rule.host || '';
+  row.querySelector('[data-field="keepParams"]').value = (rule.keepParams || []).join(', ');
+  row.querySelector('[data-field="dropParams"]').value = (rule.dropParams || []).join(', ');
+  row.querySelector('[data-field="ignoreQuery"]').checked = Boolean(rule.ignoreQuery);
+  row.querySelector('[data-field="keepFragment"]').checked = Boolean(rule.keepFragment);
+  row.querySelector('.remove-row-btn').addEventListener('click', () => row.remove());
+
+  return row;
+}
+
+function readSiteRules() {
+  return [...siteRulesBody.querySelectorAll('tr')]
+    .map((row) => ({
+      host: row.querySelector('[data-field="host"]').value.trim().toLowerCase(),
+      keepParams: splitList(row.querySelector('[data-field="keepParams"]').value),
+      dropParams: splitList(row.querySelector('[data-field="dropParams"]').value),
+      ignoreQuery: row.querySelector('[data-field="ignoreQuery"]').checked,
+      keepFragment: row.querySelector('[data-field="keepFragment"]').checked,
+    }))
+    .filter((rule) => rule.host);
+}
+
+function renderDedupeSettings(dedupe) {
+  keepPolicySelect.value = dedupe.keepPolicy;
+  siteRulesBody.innerHTML = '';
+  dedupe.siteRules.forEach((rule) => siteRulesBody.appendChild(createSiteRuleRow(rule)));
+}
+
+document.getElementById('add-site-rule').addEventListener('click', () => {
+  siteRulesBody.appendChild(createSiteRuleRow());
+});
+
+document.getElementById('save-dedupe').addEventListener('click', async () => {
+  const settings = await saveSettingsSection('dedupe', {
+    keepPolicy: keepPolicySelect.value,
+    siteRules: readSiteRules(),
+  });
+  renderDedupeSettings(settings.dedupe);
+  showStatus('✅ Duplicate detection settings saved');
+});
+
+// ----- Classification cache -----
+
+const cacheSizeEl = document.getElementById('cache-size');
+
+async function renderCacheSize() {
+  const cache = await loadClassificationCache();
+  cacheSizeEl.textContent = `${Object.keys(cache).length} of ${MAX_CACHE_ENTRIES} entries`;
+}
+
+document.getElementById('clear-cache').addEventListener('click', async () => {
+  await clearClassificationCache();
+  await renderCacheSize();
+  showStatus('✅ Classification cache cleared');
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await getSettings();
+  const taxonomy = await getTaxonomy();
+  renderOrganiseSettings(settings.organise);
+  renderOrderSettings(settings.organise);
+  renderExtractionSettings(settings.extraction);
+  renderAutoFileSettings(settings.autoFile);
+  renderStaleSettings(settings.stale);
+  renderArchiveSettings(settings.archive);
+  renderTaxonomy(taxonomy);
+  renderRules(await getRules(), taxonomy);
+  renderDedupeSettings(settings.dedupe);
+  renderCacheSize();
+});
@@ -0,0 +1,378 @@
+// Tidy Plan Preview Module
+// Holds the proposed grouping so the user can review and edit it before anything is applied
+import { getGroupStyle } from '../shared/taxonomy.js';
+
+/**
+ * Builds an editable plan from classified tabs and detected duplicates
+ * @param {Array} classified - Classified tab objects (tabId, title, url, label, topic, body)
+ * @param {Array} duplicates - Duplicate descriptors from DEDUPLICATE_TABS dry run
+ * @param {Array} taxonomy - Categories, used for ordering and group colours
+ * @param {Array} [clusters] - Topic clusters ({ name, items: [index into classified] });
+ *   when given, groups follow the clusters instead of the category labels
+ * @returns {{mode: string, tabs: Object, categories: Array, duplicates: Array, taxonomy: Array}} Editable plan
+ */
+export function createPlan(classified, duplicates, taxonomy, clusters = null) {
+  const tabs = {};
+  const categories = [];
+
+  if (clusters) {
+    classified.forEach((item) => {
+      tabs[item.tabId] = item;
+    });
+    clusters.forEach((cluster) => {
+      const members = cluster.items.map((idx) => classified[idx]).filter(Boolean);
+      categories.push({
+        name: cluster.name,
+        tabIds: members.map((item) => item.tabId),
+        color: getDominantColor(members, taxonomy),
+      });
+    });
+
+    return {
+      mode: 'topic',
+      tabs,
+      categories,
+      duplicates: duplicates.map((d) => ({ ...d, close: true })),
+      taxonomy,
+    };
+  }
+
+  classified.forEach((item) => {
+    tabs[item.tabId] = item;
+    const label = item.label || 'Other';
+    let category = categories.find((c) => c.name === label);
+    if (!category) {
+      category = { name: label, tabIds: [] };
+      categories.push(category);
+    }
+    category.tabIds.push(item.tabId);
+  });
+
+  // Taxonomy order first, anything else after
+  const order = (name) => {
+    const idx = taxonomy.findIndex((c) => c.name === name);
+    return idx === -1 ? taxonomy.length : idx;
+  };
+  categories.sort((a, b) => order(a.name) - order(b.name));
+
+  return {
+    mode: 'category',
+    tabs,
+    categories,
+    duplicates: duplicates.map((d) => ({ ...d, close: true })),
+    taxonomy,
+  };
+}
+
+// Colour of the category most members of a topic cluster were classified into
+function getDominantColor(members, taxonomy) {
+  const counts = new Map();
+  members.forEach((item) => counts.set(item.label, (counts.get(item.label) || 0) + 1));
+  const [label] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  return getGroupStyle(label, taxonomy).color;
+}
+
+// In category mode the group a tab sits in is its label; topic groups leave the label alone
+function setTabGroupName(plan, tabId, name) {
+  if (plan.mode === 'category' && plan.tabs[tabId]) plan.tabs[tabId].label = name;
+}
+
+function findCategory(plan, name) {
+  const key = name.trim().toLowerCase();
+  return plan.categories.find((c) => c.name.toLowerCase() === key);
+}
+
+function dropEmptyCategories(plan) {
+  plan.categories = plan.categories.filter((c) => c.tabIds.length > 0);
+}
+
+/**
+ * Moves a tab into another (possibly new) category
+ * @param {Object} plan - Plan created by createPlan
+ * @param {number} tabId - Tab to move
+ * @param {string} categoryName - Destination category
+ */
+export function moveTab(plan, tabId, categoryName) {
+  const name = categoryName.trim();
+  if (!name) return;
+
+  plan.categories.forEach((c) => {
+    c.tabIds = c.tabIds.filter((id) => id !== tabId);
+  });
+
+  let target = findCategory(plan, name);
+  if (!target) {
+    target = { name, tabIds: [] };
+    plan.categories.push(target);
+  }
+  target.tabIds.push(tabId);
+  setTabGroupName(plan, tabId, target.name);
+
+  dropEmptyCategories(plan);
+}
+
+/**
+ * Merges one category into another, keeping the target's name
+ * @param {Object} plan - Plan created by createPlan
+ * @param {string} sourceName - Category to merge away
+ * @param {string} targetName - Category that receives the tabs
+ */
+export function mergeCategories(plan, sourceName, targetName) {
+  const source = findCategory(plan, sourceName);
+  const target = findCategory(plan, targetName);
+  if (!source || !target || source === target) return;
+
+  source.tabIds.forEach((id) => {
+    target.tabIds.push(id);
+    setTabGroupName(plan, id, target.name);
+  });
+  source.tabIds = [];
+
+  dropEmptyCategories(plan);
+}
+
+/**
+ * Renames a category; renaming onto an existing name merges the two
+ * @param {Object} plan - Plan created by createPlan
+ * @param {string} oldName - Current category name
+ * @param {string} newName - New category name
+ */
+export function renameCategory(plan, oldName, newName) {
+  const name = newName.trim();
+  const category = findCategory(plan, oldName);
+  if (!category || !name) return;
+
+  const existing = findCategory(plan, name);
+  if (existing && existing !== category) {
+    mergeCategories(plan, category.name, existing.name);
+    return;
+  }
+
+  category.name = name;
+  category.tabIds.forEach((id) => setTabGroupName(plan, id, name));
+}
+
+/**
+ * Toggles whether a duplicate tab should be closed on apply
+ * @param {Object} plan - Plan created by createPlan
+ * @param {number} tabId - Duplicate tab ID
+ * @param {boolean} close - Whether to close it
+ */
+export function setDuplicateClose(plan, tabId, close) {
+  const duplicate = plan.duplicates.find((d) => d.tabId === tabId);
+  if (duplicate) duplicate.close = close;
+}
+
+/**
+ * Resolves the edited plan into the payloads the background handlers expect
+ * Kept duplicates join the category of the tab they duplicate. When that tab isn't in the plan
+ * (over the tab limit, or left out of classification) neither is grouped; they're listed in ungroupedKept
+ * @param {Object} plan - Plan created by createPlan
+ * @returns {{closeTabIds: Array<number>, clusters: Array, groups: Array, organizedTabsData: Array,
+ *   ungroupedKept: Array<{tabId: number, title: string, closed: number, keptOpen: number}>}}
+ */
+export function resolvePlan(plan) {
+  const closeTabIds = plan.duplicates.filter((d) => d.close).map((d) => d.tabId);
+  const extraTabs = new Map();
+  const ungroupedKept = new Map();
+
+  plan.duplicates.forEach((d) => {
+    if (plan.categories.some((c) => c.tabIds.includes(d.keepTabId))) return;
+    if (!ungroupedKept.has(d.keepTabId)) {
+      ungroupedKept.set(d.keepTabId, { tabId: d.keepTabId, title: d.keepTitle || '', closed: 0, keptOpen: 0 });
+    }
+    ungroupedKept.get(d.keepTabId)[d.close ? 'closed' : 'keptOpen']++;
+  });
+
+  plan.duplicates
+    .filter((d) => !d.close)
+    .forEach((d) => {
+      const category = plan.categories.find((c) => c.tabIds.includes(d.keepTabId));
+      if (!category) return;
+      const original = plan.tabs[d.keepTabId] || {};
+      if (!extraTabs.has(category)) extraTabs.set(category, []);
+      extraTabs.get(category).push({
+        tabId: d.tabId,
+        title: d.title || '',
+        url: d.url,
+        label: original.label || category.name,
+        topic: original.topic || '',
+        body: '',
+      });
+    });
+
+  const organizedTabsData = [];
+  const clusters = plan.categories
+    .filter((c) => c.tabIds.length > 0)
+    .map((c) => {
+      const tabs = [...c.tabIds.map((id) => plan.tabs[id]), ...(extraTabs.get(c) || [])];
+      const items = tabs.filter(Boolean).map((tab) => organizedTabsData.push(tab) - 1);
+      return { name: c.name, items, color: c.color };
+    });
+
+  const groups = clusters.map((c) => {
+    const style = getGroupStyle(c.name, plan.taxonomy);
+    return {
+      name: c.name,
+      title: style.title,
+      color: style.color || c.color,
+      tabIds: c.items.map((idx) => organizedTabsData[idx].tabId),
+    };
+  });
+
+  return { closeTabIds, clusters, groups, organizedTabsData, ungroupedKept: [...ungroupedKept.values()] };
+}
+
+// Build a category <select> listing every category, with the current one selected
+function createCategorySelect(plan, selectedName, placeholder) {
+  const select = document.createElement('select');
+  select.className = 'preview-select';
+
+  if (placeholder) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = placeholder;
+    select.appendChild(option);
+  }
+
+  plan.categories.forEach((c) => {
+    if (placeholder && c.name === selectedName) return;
+    const option = document.createElement('option');
+    option.value = c.name;
+    option.textContent = c.name;
+    option.selected = !placeholder && c.name === selectedName;
+    select.appendChild(option);
+  });
+
+  return select;
+}
+
+/**
+ * Renders the editable plan into the preview card
+ * Every edit re-renders the whole card so the selects always list current categories
+ * @param {Object} plan - Plan created by createPlan
+ * @param {HTMLElement} container - Element to render the categories and duplicates into
+ */
+export function renderPlanPreview(plan, container) {
+  const rerender = () => renderPlanPreview(plan, container);
+  container.innerHTML = '';
+
+  plan.categories.forEach((category) => {
+    const categoryDiv = document.createElement('div');
+    categoryDiv.className = 'preview-category';
+
+    const header = document.createElement('div');
+    header.className = 'preview-category-header';
+
+    const nameInput = document.createElement('input');
+    nameInput.className = 'preview-name-input';
+    nameInput.value = category.name;
+    nameInput.title = 'Rename category';
+    nameInput.addEventListener('change', () => {
+      renameCategory(plan, category.name, nameInput.value);
+      rerender();
+    });
+
+    const countBadge = document.createElement('span');
+    countBadge.className = 'count-badge';
+    countBadge.textContent = `${category.tabIds.length} tabs`;
+
+    const mergeSelect = createCategorySelect(plan, category.name, 'Merge into…');
+    mergeSelect.disabled = plan.categories.length < 2;
+    mergeSelect.addEventListener('change', () => {
+      if (!mergeSelect.value) return;
+      mergeCategories(plan, category.name, mergeSelect.value);
+      rerender();
+    });
+
+    header.append(nameInput, countBadge, mergeSelect);
+    categoryDiv.appendChild(header);
+
+    category.tabIds.forEach((tabId) => {
+      const tab = plan.tabs[tabId];
+      if (!tab) return;
+
+      const row = document.createElement('div');
+      row.className = 'preview-tab';
+
+      const title = document.createElement('span');
+      title.className = 'url-title';
+      title.textContent = tab.title || 'Untitled';
+      title.title = tab.url;
+
+      const moveSelect = createCategorySelect(plan, category.name);
+      const newOption = document.createElement('option');
+      newOption.value = '__new__';
+      newOption.textContent = 'New category…';
+      moveSelect.appendChild(newOption);
+      moveSelect.addEventListener('change', () => {
+        if (moveSelect.value !== '__new__') {
+          moveTab(plan, tabId, moveSelect.value);
+          rerender();
+          return;
+        }
+
+        // Name the new category in place of the select; Enter or leaving the field moves the tab
+        const newInput = document.createElement('input');
+        newInput.className = 'preview-name-input';
+        newInput.placeholder = 'New category name';
+        newInput.addEventListener('change', () => {
+          moveTab(plan, tabId, newInput.value);
+          rerender();
+        });
+        newInput.addEventListener('blur', rerender);
+        newInput.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') rerender();
+        });
+        moveSelect.replaceWith(newInput);
+        newInput.focus();
+      });
+
+      row.append(title, moveSelect);
+      categoryDiv.appendChild(row);
+    });
+
+    container.appendChild(categoryDiv);
+  });
+
+  if (plan.duplicates.length > 0) {
+    const dupDiv = document.createElement('div');
+    dupDiv.className = 'preview-duplicates';
+
+    const dupHeader = document.createElement('div');
+    dupHeader.className = 'summary-header';
+    const closing = plan.duplicates.filter((d) => d.close).length;
+    dupHeader.textContent = `Duplicates to close (${closing}/${plan.duplicates.length})`;
+    dupDiv.appendChild(dupHeader);
+
+    plan.duplicates.forEach((d) => {
+      const label = document.createElement('label');
+      label.className = 'preview-duplicate';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = d.close;
+      checkbox.addEventListener('change', () => {
+        setDuplicateClose(plan, d.tabId, checkbox.checked);
+        rerender();
+      });
+
+      const title = document.createElement('span');
+      title.className = 'url-title';
+      title.textContent = d.title || d.url;
+      title.title = d.url;
+
+      if (d.reason) {
+        const reason = document.createElement('span');
+        reason.className = 'preview-duplicate-reason';
+        reason.textContent = d.reason;
+        title.appendChild(reason);
+      }
+
+      label.append(checkbox, title);
+      dupDiv.appendChild(label);
+    });
+
+    container.appendChild(dupDiv);
+  }
+}
@@ -0,0 +1,154 @@
+// Run Progress Module
+// Live per-tab table for a tidy: what each tab is doing, an overall bar with an ETA, and failures
+
+export const TAB_STATES = {
+  queued: 'Queued',
+  extracting: 'Reading page',
+  classifying: 'Classifying',
+  classified: 'Classified',
+  failed: 'Failed',
+};
+
+// Shown until a tab has finished, when there is nothing measured to base an ETA on
+const NO_ETA = 'estimating time left…';
+
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function createRow(tab) {
+  const row = document.createElement('div');
+  row.className = 'run-tab';
+
+  const icon = document.createElement('img');
+  icon.className = 'run-tab-icon';
+  icon.alt = '';
+  if (tab.favIconUrl) icon.src = tab.favIconUrl;
+  else icon.style.visibility = 'hidden';
+  icon.addEventListener('error', () => {
+    icon.style.visibility = 'hidden';
+  });
+
+  const title = document.createElement('span');
+  title.className = 'url-title run-tab-title';
+  title.textContent = tab.title || tab.url;
+  title.title = tab.url;
+
+  const state = document.createElement('span');
+  state.className = 'run-tab-state';
+
+  row.append(icon, title, state);
+  return row;
+}
+
+/**
+ * Renders the progress table for a run into a container
+ * Only tabs in a batch (those sent for extraction and classification) count towards the ETA;
+ * rule and cache hits finish instantly and would make it look faster than it is
+ * @param {HTMLElement} container - Card element holding .run-progress-bar, .run-progress-text,
+ *   .run-progress-list and .run-retry
+ * @param {Array<{tabId: number, title: string, url: string, favIconUrl?: string}>} tabs - Tabs in the run
+ * @param {Function} onRetry - Called with the IDs of the failed tabs when "Retry failed" is clicked
+ * @returns {{update: Function, failedIds: Function, startBatch: Function, endBatch: Function}}
+ *   update(tabId, state, detail) changes a tab's state; failedIds() lists failed tabs;
+ *   startBatch(tabIds) queues tabs and starts timing them; endBatch() allows retrying again
+ */
+export function createRunProgress(container, tabs, onRetry) {
+  const bar = container.querySelector('.run-progress-bar');
+  const text = container.querySelector('.run-progress-text');
+  const list = container.querySelector('.run-progress-list');
+  const retryBtn = container.querySelector('.run-retry');
+
+  list.innerHTML = '';
+  const rows = new Map();
+  const states = new Map();
+  tabs.forEach((tab) => {
+    const row = createRow(tab);
+    rows.set(tab.tabId, row);
+    list.appendChild(row);
+  });
+
+  // Timing for the current batch, measured from when it started
+  const timed = new Set();
+  let timedDone = 0;
+  let startedAt = 0;
+  let busy = false;
+
+  const failedIds = () => [...states].filter(([, state]) => state === 'failed').map(([tabId]) => tabId);
+
+  const render = () => {
+    const done = [...states.values()].filter((s) => s === 'classified' || s === 'failed').length;
+    bar.max = tabs.length || 1;
+    bar.value = done;
+
+    const remaining = [...timed].filter((tabId) => !['classified', 'failed'].includes(states.get(tabId))).length;
+    let eta = '';
+    if (remaining > 0) {
+      if (timedDone === 0) {
+        eta = ` · ${NO_ETA}`;
+      } else {
+        // Wall-clock time per finished tab already reflects how many run at once
+        const perTab = (Date.now() - startedAt) / timedDone;
+        eta = ` · ~${formatDuration(perTab * remaining)} left (${(perTab / 1000).toFixed(1)}s per tab)`;
+      }
+    }
+
+    const failed = failedIds().length;
+    text.textContent = `${done}/${tabs.length} tabs${failed ? ` · ${failed} failed` : ''}${eta}`;
+    retryBtn.disabled = busy || failed === 0;
+    retryBtn.textContent = failed ? `Retry ${failed} failed` : 'Retry failed';
+  };
+
+  const update = (tabId, state, detail = {}) => {
+    const row = rows.get(tabId);
+    if (!row) return;
+
+    const wasDone = ['classified', 'failed'].includes(states.get(tabId));
+    if ((state === 'classified' || state === 'failed') && !wasDone && timed.has(tabId)) timedDone++;
+
+    states.set(tabId, state);
+    row.dataset.state = state;
+
+    const stateEl = row.querySelector('.run-tab-state');
+    if (state === 'classified') {
+      stateEl.textContent = `${detail.label}${detail.source ? ` · ${detail.source}` : ''}`;
+      stateEl.title = '';
+    } else if (state === 'failed') {
+      stateEl.textContent = `${TAB_STATES.failed}: ${detail.reason || 'unknown error'}`;
+      stateEl.title = detail.reason || '';
+    } else {
+      stateEl.textContent = TAB_STATES[state];
+      stateEl.title = '';
+    }
+
+    render();
+  };
+
+  const startBatch = (tabIds) => {
+    busy = true;
+    timed.clear();
+    timedDone = 0;
+    startedAt = Date.now();
+    tabIds.forEach((tabId) => {
+      timed.add(tabId);
+      update(tabId, 'queued');
+    });
+    render();
+  };
+
+  const endBatch = () => {
+    busy = false;
+    render();
+  };
+
+  retryBtn.onclick = () => {
+    const ids = failedIds();
+    if (ids.length > 0) onRetry(ids);
+  };
+
+  tabs.forEach((tab) => update(tab.tabId, 'queued'));
+  container.style.display = 'block';
+  return { update, failedIds, startBatch, endBatch };
+}
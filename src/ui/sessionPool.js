@@ -0,0 +1,95 @@
+// Session Pool Module
+// Runs each task in a fresh clone of a base language model session, a few at a time
+import { createLimiter } from '../shared/concurrency.js';
+import { isQuotaError } from '../shared/tabClassifier.js';
+
+/**
+ * Creates a pool that hands every task its own clone of a base session
+ * Clones start out holding only the base session's system prompt, so tasks never share history.
+ * Up to `size` tasks run at once, and the same number of clones are kept ready in advance.
+ * @param {Function} createBase - Creates the base session, e.g. createClassificationSession
+ * @param {number} size - Tasks run at the same time
+ * @returns {{run: Function, usage: Object, destroy: Function}} run(task) resolves with task(clone);
+ *   usage holds the token counts for the run
+ */
+export function createSessionPool(createBase, size) {
+  const limit = createLimiter(size);
+  const spares = [];
+  let basePromise = null;
+  let destroyed = false;
+
+  const usage = {
+    systemTokens: 0, // Taken by the system prompt in every clone
+    tabTokens: 0, // Used by tasks on top of the system prompt
+    largest: 0, // Most any single task used, system prompt included
+    quota: 0, // Per-session quota
+    tasks: 0,
+    overflows: 0, // Tasks whose context overflowed and dropped earlier turns
+    rebuilt: 0, // Times the base session had to be created again
+  };
+
+  const getBase = () => {
+    basePromise ??= Promise.resolve(createBase()).then((base) => {
+      usage.systemTokens = base.inputUsage || 0;
+      usage.quota = base.inputQuota || 0;
+      return base;
+    });
+    return basePromise;
+  };
+
+  const cloneBase = async () => {
+    const current = getBase();
+    try {
+      return await (await current).clone();
+    } catch (error) {
+      // A base session that has run out of room or been torn down can't be cloned; start over once
+      if (!isQuotaError(error) && error?.name !== 'InvalidStateError') throw error;
+      if (basePromise === current) {
+        (await current.catch(() => null))?.destroy?.();
+        basePromise = null;
+        usage.rebuilt++;
+      }
+      return (await getBase()).clone();
+    }
+  };
+
+  const refill = () => {
+    if (destroyed || spares.length >= size) return;
+    const spare = cloneBase();
+    spare.catch(() => {}); // Surfaced when a task takes it
+    spares.push(spare);
+  };
+
+  const run = (task) =>
+    limit(async () => {
+      const session = await (spares.shift() || cloneBase());
+      refill();
+
+      let overflowed = false;
+      const onOverflow = () => {
+        overflowed = true;
+      };
+      session.addEventListener?.('quotaoverflow', onOverflow);
+      session.addEventListener?.('contextoverflow', onOverflow);
+
+      try {
+        return await task(session);
+      } finally {
+        const used = session.inputUsage || 0;
+        usage.tasks++;
+        usage.tabTokens += Math.max(0, used - usage.systemTokens);
+        usage.largest = Math.max(usage.largest, used);
+        if (overflowed) usage.overflows++;
+        session.destroy?.();
+      }
+    });
+
+  const destroy = async () => {
+    destroyed = true;
+    const pending = spares.splice(0);
+    (await Promise.allSettled(pending)).forEach((r) => r.value?.destroy?.());
+    (await basePromise?.catch(() => null))?.destroy?.();
+  };
+
+  return { run, usage, destroy };
+}
@@ -1,18 +1,57 @@
 // Main Sidepanel Orchestration
 import {
   sessions,
+  availability,
   cleanupSessions,
   initializeSessions,
+  checkAvailability,
+  getSession,
+  isAvailable,
   updateApiDownloadStatus,
   updateApiStatus,
   updateModelProgress,
   checkAllModelsComplete,
 } from './aiSession.js';
-import { classifyTab } from './tabClassifier.js';
-import { ungroupCategory, ungroupAll, loadExistingGroups, updateUngroupAllButton } from './groupManager.js';
+import {
+  classifyTab,
+  clusterTabs,
+  createClassificationSession,
+  isAmbiguousTitle,
+  CLASSIFICATION_VERSION,
+} from '../shared/tabClassifier.js';
+import { createSessionPool } from './sessionPool.js';
+import { createRunProgress } from './runProgress.js';
+import { classifyByHeuristic } from './heuristicClassifier.js';
+import { createLimiter, withTimeout } from '../shared/concurrency.js';
+import {
+  getCacheKey,
+  loadClassificationCache,
+  getCachedClassification,
+  setCachedClassification,
+  updateClassificationCache,
+} from '../shared/classificationCache.js';
+import { getSettings, saveSettingsSection } from '../shared/settings.js';
+import { getTaxonomy, getTaxonomyVersion, FALLBACK_CATEGORY } from '../shared/taxonomy.js';
+import { getRules, compileRules, matchRule } from '../shared/classificationRules.js';
+import { AUTO_FILED_KEY, getAutoFiled, removeAutoFiled } from '../shared/autoFiled.js';
+import { createPlan, resolvePlan, renderPlanPreview } from './planPreview.js';
+import {
+  ungroupCategory,
+  ungroupAll,
+  archiveGroups,
+  loadArchives,
+  loadExistingGroups,
+  updateUngroupAllButton,
+  undoLastTidy,
+  refreshUndoButton,
+} from './groupManager.js';
+import { scanStaleTabs, renderStaleTabs, countAffected, STALE_ACTIONS, ARCHIVE_GROUP_TITLE } from './staleTabs.js';
+import { loadWorkspaces, saveCurrentWorkspace, importGroupsFile } from './workspaceManager.js';
 import {
   displayGroupResults,
   displayExistingGroups,
+  displayAutoFiled,
+  exportAllGroups,
   updateClusteringProgress,
   setOverallStatus,
 } from './uiRenderer.js';
@@ -23,6 +62,16 @@ const $ = (s) => document.querySelector(s);
 const organiseTabs = document.getElementById('organise-tabs');
 const progressContainer = document.getElementById('progressContainer');
 const logEl = document.getElementById('log');
+const previewEl = document.getElementById('preview');
+const previewListEl = document.getElementById('preview-list');
+const applyPlanBtn = document.getElementById('apply-plan');
+const cancelPlanBtn = document.getElementById('cancel-plan');
+const cancelTidyBtn = document.getElementById('cancel-tidy');
+const cancelledRunEl = document.getElementById('cancelled-run');
+const cancelledSummaryEl = document.getElementById('cancelled-summary');
+const groupClassifiedBtn = document.getElementById('group-classified');
+const discardCancelledBtn = document.getElementById('discard-cancelled');
+const runProgressEl = document.getElementById('run-progress');
 
 // Logging function
 function log(line) {
@@ -32,102 +81,80 @@ function log(line) {
 // Global variable for organized tabs data
 let organizedTabsData = [];
 
+// Plan awaiting review in the preview card
+let currentPlan = null;
+
+const SCOPE_LABELS = {
+  current: 'this window',
+  each: 'each window separately',
+  consolidate: 'consolidate into this window',
+};
+
 // Callbacks object for AI session management
 const sessionCallbacks = {
   log,
   updateApiDownloadStatus,
+  updateApiStatus,
   checkAllModelsComplete: () => checkAllModelsComplete(sessionCallbacks),
-  enableOrganiseButton: () => { organiseTabs.disabled = false; },
-  disableOrganiseButton: () => { organiseTabs.disabled = true; },
   showProgressContainer: () => { progressContainer.style.display = 'block'; },
   hideProgressContainer: () => { progressContainer.style.display = 'none'; },
 };
 
+// What the renderer needs to offer summaries, overviews and Q&A; sessions are created on first use
+const ai = {
+  isAvailable,
+  getSession: (type) => getSession(type, sessionCallbacks),
+};
+
 // Check API availability on load
 document.addEventListener('DOMContentLoaded', async () => {
-  const hasLanguageModel = 'LanguageModel' in globalThis;
-  const hasWriter = 'Writer' in globalThis;
-  const hasSummarizer = 'Summarizer' in globalThis;
-
-  // Check detailed availability for each API
-  let languageModelStatus = 'unavailable';
-  let writerStatus = 'unavailable';
-  let summarizerStatus = 'unavailable';
-
-  if (hasLanguageModel) {
-    try {
-      const availability = await LanguageModel.availability({
-        expectedInputs: [{ type: 'text', languages: ['en'] }],
-        expectedOutputs: [{ type: 'text', languages: ['en'] }],
-      });
-      languageModelStatus = availability === 'downloadable' ? 'downloadable' : 'ready';
-    } catch (error) {
-      console.warn('Failed to check LanguageModel availability:', error);
-      languageModelStatus = 'available';
-    }
-  }
+  // Each API is checked on its own; a missing one only turns off the features it powers
+  await checkAvailability();
 
-  if (hasWriter) {
-    try {
-      const availability = await Writer.availability({
-        expectedInputLanguages: ['en'],
-        expectedContextLanguages: ['en'],
-      });
-      writerStatus = availability === 'downloadable' ? 'downloadable' : 'ready';
-    } catch (error) {
-      console.warn('Failed to check AIWriter availability:', error);
-      writerStatus = 'available';
-    }
-  }
-
-  if (hasSummarizer) {
-    try {
-      const availability = await Summarizer.availability({
-        expectedInputLanguages: ['en'],
-        expectedContextLanguages: ['en'],
-      });
-      summarizerStatus = availability === 'downloadable' ? 'downloadable' : 'ready';
-    } catch (error) {
-      console.warn('Failed to check AISummarizer availability:', error);
-      summarizerStatus = 'available';
-    }
-  }
-
-  // Update individual API status indicators with detailed status
-  updateApiStatus('language-model', languageModelStatus);
-  updateApiStatus('writer', writerStatus);
-  updateApiStatus('summarizer', summarizerStatus);
+  updateApiStatus('language-model', availability.languageModel);
+  updateApiStatus('writer', availability.writer);
+  updateApiStatus('summarizer', availability.summarizer);
 
   // Create a bitmask for different combinations
-  const apiMask = (hasLanguageModel ? 4 : 0) + (hasWriter ? 2 : 0) + (hasSummarizer ? 1 : 0);
+  const apiMask =
+    (isAvailable('languageModel') ? 4 : 0) + (isAvailable('writer') ? 2 : 0) + (isAvailable('summarizer') ? 1 : 0);
 
   switch (apiMask) {
     case 0: // 000 - No APIs
       setOverallStatus(
-        "⚠️ No AI APIs detected. Please ensure you're using Chrome Canary with the experimental AI features enabled.",
-        'error',
+        '⚠️ No AI models available. Tabs are classified with keyword and domain rules; summaries, overviews, topic groups and Q&A are off.',
+        'warning',
       );
       break;
     case 1: // 001 - Only Summarizer
-      setOverallStatus('⚠️ Only Summarizer available. Missing: Language Model, Writer.', 'warning');
+      setOverallStatus(
+        '⚠️ Keyword and domain classification with summaries. Overviews, topic groups and Q&A are off.',
+        'warning',
+      );
       break;
     case 2: // 010 - Only Writer
-      setOverallStatus('⚠️ Only Writer available. Missing: Language Model, Summarizer.', 'warning');
+      setOverallStatus(
+        '⚠️ Keyword and domain classification with overviews. Summaries, topic groups and Q&A are off.',
+        'warning',
+      );
       break;
     case 3: // 011 - Writer + Summarizer
-      setOverallStatus('⚠️ Writer and Summarizer available. Missing: Language Model.', 'warning');
+      setOverallStatus(
+        '⚠️ Keyword and domain classification with summaries and overviews. Topic groups and Q&A are off.',
+        'warning',
+      );
       break;
     case 4: // 100 - Only Language Model
-      setOverallStatus('⚠️ Only Language Model available. Missing: Writer, Summarizer.', 'warning');
+      setOverallStatus('⚠️ AI classification, topic groups and Q&A. Summaries and overviews are off.', 'warning');
       break;
     case 5: // 101 - Language Model + Summarizer
-      setOverallStatus('⚠️ Language Model and Summarizer available. Missing: Writer.', 'warning');
+      setOverallStatus('⚠️ AI classification, topic groups, Q&A and summaries. Overviews are off.', 'warning');
       break;
     case 6: // 110 - Language Model + Writer
-      setOverallStatus('⚠️ Language Model and Writer available. Missing: Summarizer.', 'warning');
+      setOverallStatus('⚠️ AI classification, topic groups, Q&A and overviews. Summaries are off.', 'warning');
       break;
     case 7: // 111 - All APIs
-      setOverallStatus('🚀 All AI APIs available.', 'success');
+      setOverallStatus('🚀 All AI features available.', 'success');
       break;
     default:
       setOverallStatus('⚠️ Unexpected API state detected. Please refresh and try again.', 'error');
@@ -140,63 +167,591 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (ungroupAllBtn) {
     ungroupAllBtn.addEventListener('click', () => ungroupAll(log));
   }
+
+  // Organise mode switch (By category / By topic)
+  const { organise } = await getSettings();
+  document.querySelectorAll('input[name="organise-mode"]').forEach((radio) => {
+    radio.checked = radio.value === organise.mode;
+    radio.addEventListener('change', async () => {
+      const current = await getSettings();
+      await saveSettingsSection('organise', { ...current.organise, mode: radio.value });
+      log(`🔀 Organise mode: ${radio.value === 'topic' ? 'By topic' : 'By category'}`);
+    });
+  });
+
+  // Window scope selector
+  const scopeSelect = document.getElementById('organise-scope');
+  if (scopeSelect) {
+    scopeSelect.value = organise.scope;
+    scopeSelect.addEventListener('change', async () => {
+      const current = await getSettings();
+      await saveSettingsSection('organise', { ...current.organise, scope: scopeSelect.value });
+      log(`🪟 Scope: ${SCOPE_LABELS[scopeSelect.value]}`);
+    });
+  }
+
+  // Incremental mode leaves hand-made groups alone
+  const incrementalToggle = document.getElementById('organise-incremental');
+  if (incrementalToggle) {
+    incrementalToggle.checked = organise.incremental;
+    incrementalToggle.addEventListener('change', async () => {
+      const current = await getSettings();
+      await saveSettingsSection('organise', { ...current.organise, incremental: incrementalToggle.checked });
+      log(incrementalToggle.checked ? '🧷 Keeping your own groups' : '🧹 Regrouping every tab');
+    });
+  }
+
+  document.getElementById('open-options')?.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Snapshots live in storage, so undo survives closing the panel
+  refreshUndoButton();
+
+  document.getElementById('archive-all')?.addEventListener('click', (e) => archiveGroups(undefined, e.target, log));
+  loadArchives(log);
+
+  // Stale tabs view
+  const staleDays = document.getElementById('stale-days');
+  if (staleDays) {
+    staleDays.value = String((await getSettings()).stale.days);
+    staleDays.addEventListener('change', async () => {
+      const current = await getSettings();
+      await saveSettingsSection('stale', { ...current.stale, days: parseInt(staleDays.value, 10) });
+      refreshStaleTabs();
+    });
+  }
+  document.getElementById('find-stale')?.addEventListener('click', refreshStaleTabs);
+  document.querySelectorAll('[data-stale-action]').forEach((btn) => {
+    btn.addEventListener('click', () => runStaleAction(btn.dataset.staleAction));
+  });
+
+  // Saved workspaces
+  loadWorkspaces(log);
+  const workspaceNameInput = document.getElementById('workspace-name');
+  document.getElementById('save-workspace')?.addEventListener('click', async () => {
+    if (await saveCurrentWorkspace(workspaceNameInput.value, log)) workspaceNameInput.value = '';
+  });
+
+  // Export every group in the results card
+  const exportSelect = document.getElementById('export-results');
+  exportSelect?.addEventListener('change', () => {
+    if (!exportSelect.value) return;
+    const count = exportAllGroups(exportSelect.value);
+    log(count > 0 ? `📤 Exported ${count} group(s)` : 'ℹ️ No groups to export');
+    exportSelect.value = '';
+  });
+
+  // Import an exported file back into tab groups
+  const importFile = document.getElementById('import-groups-file');
+  document.getElementById('import-groups')?.addEventListener('click', () => importFile.click());
+  importFile?.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    importFile.value = '';
+    if (file) await importGroupsFile(file, log);
+  });
+
+  // Tabs the background auto-filer moved, with undo; updated as new ones are filed
+  refreshAutoFiled();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[AUTO_FILED_KEY]) refreshAutoFiled();
+  });
+  document.getElementById('dismiss-auto-filed')?.addEventListener('click', () => removeAutoFiled());
+
+  const undoBtn = document.getElementById('undo-tidy');
+  if (undoBtn) {
+    undoBtn.addEventListener('click', () =>
+      undoLastTidy(log, () => loadExistingGroups(displayExistingGroups, updateUngroupAllButton)),
+    );
+  }
 });
 
-// Organize tabs button click handler
-organiseTabs.addEventListener('click', async () => {
+// Last stale tabs scan and which of its tabs are ticked
+let staleScan = null;
+const staleSelected = new Set();
+
+// Show how many tabs each action would change before it runs
+function updateStaleActions() {
+  const actionsEl = document.getElementById('stale-actions');
+  const selectedTabs = staleScan ? staleScan.tabs.filter((tab) => staleSelected.has(tab.tabId)) : [];
+  const counts = countAffected(selectedTabs, staleScan?.archiveGroupIds || new Set());
+
+  actionsEl.style.display = staleScan?.tabs.length ? 'flex' : 'none';
+  actionsEl.querySelectorAll('[data-stale-action]').forEach((btn) => {
+    const action = btn.dataset.staleAction;
+    btn.textContent = `${STALE_ACTIONS[action]} (${counts[action]})`;
+    btn.disabled = counts[action] === 0;
+  });
+}
+
+async function refreshStaleTabs() {
+  const summaryEl = document.getElementById('stale-summary');
   try {
-    await initializeSessions(sessionCallbacks);
-    updateClusteringProgress('Starting clustering process...');
+    staleScan = await scanStaleTabs();
+    staleSelected.clear();
+    staleScan.tabs.forEach((tab) => staleSelected.add(tab.tabId));
 
-    const result = await performClusteringAndGrouping();
+    const { days } = (await getSettings()).stale;
+    summaryEl.textContent =
+      staleScan.tabs.length > 0
+        ? `${staleScan.tabs.length} tab(s) untouched for over ${days} day(s), ${staleScan.protectedCount} protected`
+        : `No tabs untouched for over ${days} day(s) (${staleScan.protectedCount} protected)`;
+
+    renderStaleTabs(staleScan.categories, document.getElementById('stale-list'), staleSelected, updateStaleActions);
+    updateStaleActions();
+  } catch (error) {
+    log(`❌ Error finding stale tabs: ${error.message}`);
+  }
+}
+
+async function runStaleAction(action) {
+  const tabIds = [...staleSelected];
+  if (tabIds.length === 0) return;
+
+  const res = await chrome.runtime.sendMessage({
+    type: 'STALE_TABS_ACTION',
+    action,
+    tabIds,
+    groupTitle: ARCHIVE_GROUP_TITLE,
+  });
+  if (res?.ok) {
+    log(`🧓 ${STALE_ACTIONS[action]}: ${res.affected} stale tab(s)`);
+  } else {
+    log(`❌ ${STALE_ACTIONS[action]} failed: ${res?.error || 'Unknown error'}`);
+  }
+
+  if (action === 'bookmark') loadArchives(log);
+  await refreshStaleTabs();
+}
+
+async function refreshAutoFiled() {
+  displayAutoFiled(await getAutoFiled(), async (tabId) => {
+    const res = await chrome.runtime.sendMessage({ type: 'UNDO_AUTO_FILE', tabId });
+    if (!res?.ok) {
+      log(`❌ Undo failed: ${res?.error || 'Unknown error'}`);
+    } else if (res.ungrouped) {
+      log('↩️ Moved the auto-filed tab back out of its group');
+    } else {
+      log('ℹ️ That tab was already moved or closed');
+    }
+  });
+}
+
+// Cancels model downloads, prompts and extraction for the tidy being built
+let runController = null;
+
+// Plan for the tabs classified before a run was cancelled, kept until the user decides
+let cancelledPlan = null;
+
+// The last run's tabs and plan state, so failed tabs can be retried without starting over
+let lastRun = null;
+
+// Runs part of a tidy with the Cancel button shown, passing it the abort signal
+async function runCancellable(task) {
+  runController = new AbortController();
+  cancelTidyBtn.disabled = false;
+  cancelTidyBtn.style.display = 'block';
+  organiseTabs.disabled = true;
+  try {
+    return await task(runController.signal);
+  } finally {
+    runController = null;
+    cancelTidyBtn.style.display = 'none';
+    organiseTabs.disabled = false;
+  }
+}
+
+// Organize tabs button click handler
+organiseTabs.addEventListener('click', () =>
+  runCancellable(async (signal) => {
+    try {
+      hidePlanPreview();
+      hideCancelledRun();
+      lastRun = null;
+      if (!(await initializeSessions(sessionCallbacks, signal))) {
+        log('📏 No language model; classifying with keyword and domain heuristics');
+      }
+      updateClusteringProgress('Starting clustering process...');
+
+      const result = await buildTidyPlan(signal);
+
+      if (result.success) {
+        currentPlan = result.plan;
+        showPlanPreview(currentPlan);
+        updateClusteringProgress('Review the proposed groups, then Apply');
+        log('👀 Plan ready for review. Nothing has been changed yet.');
+      } else if (result.cancelled) {
+        showCancelledRun(result);
+      } else {
+        console.error('❌ Clustering failed:', result.error);
+        log(`❌ Clustering failed: ${result.error}`);
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        showCancelledRun({ plan: null, classifiedCount: 0 });
+      } else {
+        console.error('❌ Error during clustering:', error);
+        log(`❌ Error during clustering: ${error.message}`);
+      }
+    }
+  }),
+);
+
+// Classifies the failed tabs again, then rebuilds the plan with whatever they get this time
+function retryFailedTabs(tabIds) {
+  if (!lastRun || runController) return;
+  const run = lastRun;
+  const items = run.extracted.filter((item) => tabIds.includes(item.tabId));
+
+  return runCancellable(async (signal) => {
+    try {
+      hidePlanPreview();
+      hideCancelledRun();
+      log(`🔁 Retrying ${items.length} failed tab(s)...`);
+      await initializeSessions(sessionCallbacks, signal);
+      updateClusteringProgress('Classifying tabs...');
+
+      const stats = await classifyItems(items, { ...run.context, signal });
+      logClassificationStats(stats, items.length, run.context.settings.extraction.classifyWith);
+    } catch (error) {
+      if (signal.aborted) {
+        log('⏹️ Retry cancelled');
+      } else {
+        console.error('❌ Retry failed:', error);
+        log(`❌ Retry failed: ${error.message}`);
+      }
+    }
+
+    // Tabs the retry didn't reach keep their earlier fallback category
+    currentPlan = run.makePlan(run.classifiedSoFar(), run.clusters);
+    showPlanPreview(currentPlan);
+    updateClusteringProgress('Review the proposed groups, then Apply');
+    log('👀 Plan updated for review. Nothing has been changed yet.');
+  });
+}
+
+// Cancelling only stops the plan being built; nothing in the browser has changed yet
+cancelTidyBtn.addEventListener('click', () => {
+  if (!runController) return;
+  cancelTidyBtn.disabled = true;
+  runController.abort();
+  updateClusteringProgress('Cancelling...');
+  log('⏹️ Cancelling...');
+});
+
+groupClassifiedBtn.addEventListener('click', () => {
+  if (!cancelledPlan) return;
+  currentPlan = cancelledPlan;
+  hideCancelledRun();
+  showPlanPreview(currentPlan);
+  updateClusteringProgress('Review the proposed groups, then Apply');
+  log('👀 Plan for the classified tabs ready for review.');
+});
+
+discardCancelledBtn.addEventListener('click', () => {
+  hideCancelledRun();
+  hideRunProgress();
+  updateClusteringProgress('Complete');
+  log('↩️ Cancelled run discarded. No tabs were changed.');
+});
+
+// Apply the reviewed plan
+applyPlanBtn.addEventListener('click', async () => {
+  if (!currentPlan) return;
+
+  applyPlanBtn.disabled = true;
+  organiseTabs.disabled = true;
+  try {
+    const result = await applyTidyPlan(currentPlan);
 
     if (result.success) {
+      hidePlanPreview();
+      hideRunProgress();
       log('🎉 Clustering completed successfully!');
       // Keep progress visible briefly so user sees completion
       setTimeout(() => {
         progressContainer.style.display = 'none';
       }, 2000);
     } else {
-      console.error('❌ Clustering failed:', result.error);
-      log(`❌ Clustering failed: ${result.error}`);
+      console.error('❌ Applying plan failed:', result.error);
+      log(`❌ Applying plan failed: ${result.error}`);
     }
-  } catch (error) {
-    console.error('❌ Error during clustering:', error);
-    log(`❌ Error during clustering: ${error.message}`);
   } finally {
+    applyPlanBtn.disabled = false;
     organiseTabs.disabled = false;
   }
 });
 
-// Main clustering and grouping function
-async function performClusteringAndGrouping() {
+// Discard the plan without touching any tabs
+cancelPlanBtn.addEventListener('click', () => {
+  hidePlanPreview();
+  hideRunProgress();
+  updateClusteringProgress('Complete');
+  log('↩️ Plan discarded. No tabs were changed.');
+});
+
+function showCancelledRun({ plan, classifiedCount, total }) {
+  cancelledPlan = plan;
+  updateClusteringProgress('Cancelled');
+
+  if (!plan) {
+    log('⏹️ Cancelled before any tabs were classified. No tabs were changed.');
+    return;
+  }
+
+  cancelledSummaryEl.textContent = `Cancelled after classifying ${classifiedCount} of ${total} tabs. Nothing has been changed yet.`;
+  groupClassifiedBtn.textContent = `Review ${classifiedCount} classified tab${classifiedCount === 1 ? '' : 's'}`;
+  cancelledRunEl.style.display = 'block';
+  log(`⏹️ Cancelled with ${classifiedCount} of ${total} tabs classified`);
+}
+
+function hideCancelledRun() {
+  cancelledPlan = null;
+  cancelledRunEl.style.display = 'none';
+}
+
+// Once a plan is applied or discarded there is nothing left to retry
+function hideRunProgress() {
+  lastRun = null;
+  runProgressEl.style.display = 'none';
+}
+
+function showPlanPreview(plan) {
+  renderPlanPreview(plan, previewListEl);
+  previewEl.style.display = 'block';
+}
+
+function hidePlanPreview() {
+  currentPlan = null;
+  previewEl.style.display = 'none';
+  previewListEl.innerHTML = '';
+}
+
+// Whether a tab should be classified with its page content as well as title and URL
+function needsPageContent(item, classifyWith) {
+  if (classifyWith === 'always') return true;
+  if (classifyWith === 'ambiguous') return isAmbiguousTitle(item.title, item.host);
+  return false;
+}
+
+/**
+ * Fetches page content for classification, skipping tabs that can't be read
+ * @param {Object} item - Tab being classified
+ * @param {Object} extraction - Extraction settings (maxChars, timeoutMs)
+ * @param {AbortSignal} signal - Cancels the run; queued extractions then never start
+ * @returns {Promise<{ok: boolean, body?: string, reason?: string}>} Content, or why it was skipped
+ */
+async function extractForClassification(item, extraction, signal) {
+  signal.throwIfAborted();
+
+  // Discarded tabs have no document to read and injecting would reload them
+  if (item.discarded) return { ok: false, reason: 'tab is discarded' };
+
   try {
-    log('🔄 Starting clustering and grouping process...');
+    const response = await withTimeout(
+      chrome.runtime.sendMessage({ type: 'EXTRACT_TAB_CONTENT', tabId: item.tabId, maxChars: extraction.maxChars }),
+      extraction.timeoutMs,
+      `timed out after ${extraction.timeoutMs}ms`,
+    );
+    if (!response?.ok) return { ok: false, reason: response?.error || 'no content' };
+
+    const { description, headings, body } = response.result;
+    const parts = [description, headings?.length ? `Headings: ${headings.join(' | ')}` : '', body];
+    return { ok: true, body: parts.filter(Boolean).join('\n').slice(0, extraction.maxChars) };
+  } catch (error) {
+    return { ok: false, reason: error.message };
+  }
+}
 
-    // Reset organized tabs data
-    organizedTabsData = [];
+// Summarises the classification run's token usage and any quota recovery
+function logTokenUsage(usage, shortenedCount) {
+  if (usage.tasks === 0) return;
+  const average = Math.round(usage.tabTokens / usage.tasks);
+  log(
+    `🧮 Tokens: ${usage.systemTokens} for instructions, ${usage.tabTokens} across ${usage.tasks} tab(s) (avg ${average}, largest ${usage.largest}${usage.quota ? ` of ${usage.quota}` : ''})`,
+  );
+  if (shortenedCount > 0) log(`✂️ Page content shortened to fit the model for ${shortenedCount} tab(s)`);
+  if (usage.overflows > 0) log(`⚠️ Context overflowed for ${usage.overflows} tab(s)`);
+  if (usage.rebuilt > 0) log(`♻️ Classification session recreated ${usage.rebuilt} time(s)`);
+}
 
-    // 1) Get existing groups and ungroup if necessary
-    const existingGroups = await chrome.runtime.sendMessage({ type: 'GET_EXISTING_GROUPS' });
-    if (existingGroups?.ok && existingGroups.groups.length > 0) {
-      updateClusteringProgress('Ungrouping existing groups...');
-      log('🔄 Ungrouping existing groups...');
-      await chrome.runtime.sendMessage({ type: 'UNGROUP_ALL' });
-      // Clear UI display of old groups
-      document.getElementById('results').style.display = 'none';
+// Classify 5 tabs concurrently
+const CLASSIFY_CONCURRENCY = 5;
+
+/**
+ * Classifies tabs with the model, or with heuristics when there is none, reading page content
+ * first where enabled. Extraction runs in its own limited pool so it overlaps with classification
+ * Every tab's state is shown in the progress table; a tab that fails gets the fallback category
+ * @param {Array} items - Tabs to classify
+ * @param {Object} context - settings, taxonomy, version, classifiedById (results are added
+ *   to it), runProgress and the run's abort signal
+ * @returns {Promise<Object>} Counts for the activity log; rejects with an AbortError when cancelled
+ */
+async function classifyItems(items, { settings, taxonomy, version, classifiedById, runProgress, signal }) {
+  const { classifyWith } = settings.extraction;
+  const useModel = Boolean(sessions.languageModel);
+
+  // Every tab is classified in its own clone of a session holding the instructions,
+  // so earlier tabs never end up in a later tab's context. Cancelling also stops the
+  // base session being created, including any model download it started
+  const pool = createSessionPool(() => createClassificationSession(taxonomy, { signal }), CLASSIFY_CONCURRENCY);
+  const runExtraction = createLimiter(settings.extraction.concurrency);
+  const stats = {
+    useModel,
+    usage: pool.usage,
+    repaired: 0,
+    shortened: 0,
+    withContent: 0,
+    skippedContent: [],
+    fallbacks: [],
+  };
+  let started = 0;
+
+  // Model results from this run, by cache key
+  const classifiedNow = new Map();
+
+  const fail = (item, reason) => {
+    classifiedById.set(item.tabId, { ...item, label: FALLBACK_CATEGORY, topic: item.title.slice(0, 60), source: 'failed' });
+    stats.fallbacks.push({ title: item.title || item.url, reason });
+    runProgress.update(item.tabId, 'failed', { reason });
+  };
+
+  const classifyItem = async (item) => {
+    if (needsPageContent(item, classifyWith)) {
+      const content = await runExtraction(() => {
+        runProgress.update(item.tabId, 'extracting');
+        return extractForClassification(item, settings.extraction, signal);
+      });
+      if (content.ok) {
+        item.body = content.body;
+        stats.withContent++;
+      } else {
+        stats.skippedContent.push({ title: item.title || item.url, reason: content.reason });
+      }
     }
 
-    // 2) Deduplicate tabs
-    updateClusteringProgress('Deduplicating tabs...');
-    log('🔄 Deduplicating tabs...');
+    signal.throwIfAborted();
+    const cls = useModel
+      ? await pool.run((session) => {
+          signal.throwIfAborted();
+          runProgress.update(item.tabId, 'classifying');
+          return classifyTab(session, item, ++started, items.length, updateClusteringProgress, taxonomy, signal);
+        })
+      : classifyByHeuristic(item, taxonomy);
 
-    const dedupe = await chrome.runtime.sendMessage({ type: 'DEDUPLICATE_TABS' });
-    if (dedupe?.ok) log(`✅ Closed duplicates: ${dedupe.closed}`);
+    if (cls.repaired) stats.repaired++;
+    if (cls.shortened) stats.shortened++;
+    if (cls.fallback) {
+      fail(item, cls.fallbackReason);
+      return;
+    }
 
-    // 3) Get remaining tabs
-    const res = await chrome.runtime.sendMessage({ type: 'GET_TABS' });
+    const label = cls.label || 'Other';
+    const topic = (cls.topic || '').slice(0, 60);
+    const source = cls.heuristic ? 'heuristic' : 'model';
+    classifiedById.set(item.tabId, { ...item, label, topic, source });
+    runProgress.update(item.tabId, 'classified', { label, source });
+
+    // Model failures and guesses aren't cached so they're retried next run
+    if (!cls.heuristic) {
+      classifiedNow.set(item.cacheKey, { label, topic });
+    }
+  };
+
+  runProgress.startBatch(items.map((item) => item.tabId));
+  let outcomes;
+  try {
+    outcomes = await Promise.allSettled(items.map(classifyItem));
+  } finally {
+    // Every task has settled by now, so no prompt is still using a clone
+    await pool.destroy();
+    runProgress.endBatch();
+  }
+
+  // Finished classifications are worth keeping even when the run was cancelled. Only this
+  // run's keys are written, so anything auto-filing stored meanwhile is left as it is
+  await updateClassificationCache((stored) => {
+    classifiedNow.forEach((classification, key) => setCachedClassification(stored, key, classification, version));
+  });
+  signal.throwIfAborted();
+
+  // Anything else that went wrong only fails its own tab
+  outcomes.forEach((outcome, idx) => {
+    if (outcome.status !== 'rejected') return;
+    console.error(`Classification failed for ${items[idx].url}:`, outcome.reason);
+    fail(items[idx], outcome.reason?.message || String(outcome.reason));
+  });
+
+  return stats;
+}
+
+// Logs what classifyItems reports
+function logClassificationStats(stats, count, classifyWith) {
+  if (classifyWith !== 'title') {
+    log(`📄 Page content used for ${stats.withContent} tab(s), skipped for ${stats.skippedContent.length}`);
+    stats.skippedContent.forEach((s) => log(` - ${s.title}: ${s.reason}`));
+  }
+
+  if (count > 0 && stats.useModel) {
+    log(`🩹 Model output: ${stats.repaired} repaired, ${stats.fallbacks.length} fell back to the default category`);
+    stats.fallbacks.forEach((f) => log(` - ${f.title}: ${f.reason}`));
+    logTokenUsage(stats.usage, stats.shortened);
+  } else if (stats.fallbacks.length > 0) {
+    log(`⚠️ ${stats.fallbacks.length} tab(s) failed and fell back to the default category`);
+    stats.fallbacks.forEach((f) => log(` - ${f.title}: ${f.reason}`));
+  }
+}
+
+/**
+ * Classifies tabs and detects duplicates without changing anything in the browser
+ * When the run is cancelled, the plan (if any) only holds the tabs classified so far
+ * @param {AbortSignal} signal - Cancels downloads, prompts and extraction still to come
+ * @returns {Promise<{success: boolean, cancelled?: boolean, plan?: Object, classifiedCount?: number,
+ *   total?: number, error?: string}>} Editable plan for preview
+ */
+async function buildTidyPlan(signal) {
+  try {
+    log('🔄 Building tidy plan...');
+
+    const settings = await getSettings();
+    const { scope, incremental } = settings.organise;
+    const panelWindow = await chrome.windows.getCurrent();
+    // "This window" only looks at tabs in the side panel's window
+    const windowFilter = scope === 'current' ? { windowId: panelWindow.id } : {};
+    log(`🪟 Scope: ${SCOPE_LABELS[scope]}`);
+
+    // The stale-tabs Archive group is always left as it is; in incremental mode, so is
+    // every other group the extension didn't create
+    const existing = await chrome.runtime.sendMessage({ type: 'GET_EXISTING_GROUPS' });
+    const ownGroups = existing?.ok ? existing.groups.filter((g) => !g.createdByTidy) : [];
+    const archiveGroupIds = new Set(ownGroups.filter((g) => g.title === ARCHIVE_GROUP_TITLE).map((g) => g.id));
+    let userGroupIds = archiveGroupIds;
+    if (incremental) {
+      userGroupIds = new Set(ownGroups.map((g) => g.id));
+      log(`🧷 Incremental: keeping ${userGroupIds.size} group(s) you made; only ungrouped tabs are classified`);
+    }
+
+    // 1) Find duplicates (dry run - nothing is closed yet)
+    updateClusteringProgress('Finding duplicate tabs...');
+    log('🔄 Finding duplicate tabs...');
+
+    const dedupe = await chrome.runtime.sendMessage({ type: 'DEDUPLICATE_TABS', dryRun: true, ...windowFilter });
+    // Never close tabs out of the user's own groups
+    const duplicates = (dedupe?.ok ? dedupe.duplicates : []).filter((d) => !userGroupIds.has(d.groupId));
+    const duplicateIds = new Set(duplicates.map((d) => d.tabId));
+    log(`✅ Found duplicates: ${duplicates.length}`);
+    signal.throwIfAborted();
+
+    // 2) Get tabs, leaving duplicates out of classification
+    const res = await chrome.runtime.sendMessage({ type: 'GET_TABS', ...windowFilter });
     if (!res?.ok) throw new Error('Failed to read tabs');
-    const tabs = res.tabs.filter((t) => /^https?:/.test(t.url || ''));
+    const tabs = res.tabs.filter(
+      (t) =>
+        /^https?:/.test(t.url || '') &&
+        !duplicateIds.has(t.id) &&
+        !archiveGroupIds.has(t.groupId) &&
+        (!incremental || t.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE),
+    );
 
     // Enforce maximum tab limit to prevent performance issues
     const MAX_TABS = 100;
@@ -209,103 +764,261 @@ async function performClusteringAndGrouping() {
 
     log(`📊 Processing ${tabs.length} tabs`);
 
-    // 4) Use tab metadata directly (skip content extraction for speed)
+    // 3) Start from tab metadata; page content is fetched during classification if enabled
     updateClusteringProgress('Preparing tab data...');
-    log('🔄 Using tab metadata (title + URL) for classification...');
+    const { classifyWith } = settings.extraction;
+    log(
+      classifyWith === 'title'
+        ? '🔄 Using tab metadata (title + URL) for classification...'
+        : `🔄 Using tab metadata plus page content (${classifyWith === 'always' ? 'every tab' : 'ambiguous titles'}) for classification...`,
+    );
 
     const extracted = tabs.map((t) => ({
       tabId: t.id,
       url: t.url,
       title: t.title || '',
       host: new URL(t.url).hostname,
-      body: '', // Skip body extraction - title + URL sufficient for classification
+      favIconUrl: t.favIconUrl,
+      discarded: Boolean(t.discarded),
+      body: '',
     }));
 
     log(`✅ Prepared ${extracted.length} tabs for classification`);
+    const runProgress = createRunProgress(runProgressEl, extracted, retryFailedTabs);
 
-    // 5) Classify all tabs (in batches for better performance)
-    updateClusteringProgress('Classifying tabs...');
-    log('🔄 Classifying tabs...');
+    // 4) Apply domain/URL rules, then reuse cached classifications for unchanged tabs
+    const taxonomy = await getTaxonomy();
+    const rules = compileRules(await getRules(), taxonomy);
+    const version = `${CLASSIFICATION_VERSION}:${getTaxonomyVersion(taxonomy)}`;
+    const cache = await loadClassificationCache();
+    const classifiedById = new Map();
+    const toClassify = [];
+    const cacheHitKeys = [];
+    let ruleHits = 0;
 
-    const BATCH_SIZE = 5; // Process 5 tabs concurrently
-    const classified = [];
-
-    for (let i = 0; i < extracted.length; i += BATCH_SIZE) {
-      const batch = extracted.slice(i, i + BATCH_SIZE);
-      const batchResults = await Promise.all(
-        batch.map((item, batchIdx) =>
-          classifyTab(
-            sessions.languageModel,
-            item,
-            i + batchIdx + 1,
-            extracted.length,
-            updateClusteringProgress
-          )
-        )
-      );
+    const makePlan = (classified, clusters) => {
+      const plan = createPlan(classified, duplicates, taxonomy, clusters);
+      plan.scope = scope;
+      plan.windowId = panelWindow.id;
+      plan.incremental = incremental;
+      plan.keepGroupIds = [...archiveGroupIds];
+      return plan;
+    };
+
+    // Tabs classified so far, in the original tab order
+    const classifiedSoFar = () =>
+      extracted.filter((item) => classifiedById.has(item.tabId)).map((item) => classifiedById.get(item.tabId));
 
-      // Combine batch results with original items
-      batch.forEach((item, idx) => {
-        const cls = batchResults[idx];
-        classified.push({
+    // A cancelled run offers a plan for whatever was classified before it stopped
+    const cancelled = () => {
+      const classified = classifiedSoFar();
+      return {
+        success: false,
+        cancelled: true,
+        plan: classified.length > 0 ? makePlan(classified, null) : null,
+        classifiedCount: classified.length,
+        total: extracted.length,
+      };
+    };
+
+    extracted.forEach((item) => {
+      const ruleMatch = matchRule(item, rules);
+      if (ruleMatch) {
+        classifiedById.set(item.tabId, {
           ...item,
-          label: cls.label || 'Other',
-          topic: (cls.topic || '').slice(0, 60),
+          label: ruleMatch.category,
+          topic: item.title.slice(0, 60),
+          source: `rule: ${ruleMatch.rule.name || ruleMatch.rule.hostGlob || ruleMatch.rule.pathRegex}`,
+        });
+        runProgress.update(item.tabId, 'classified', { label: ruleMatch.category, source: 'rule' });
+        ruleHits++;
+        return;
+      }
+
+      item.cacheKey = getCacheKey(item.url, item.title, settings.dedupe.siteRules);
+      const cached = getCachedClassification(cache, item.cacheKey, version);
+      if (cached) {
+        classifiedById.set(item.tabId, { ...item, ...cached, source: 'cache' });
+        runProgress.update(item.tabId, 'classified', { label: cached.label, source: 'cache' });
+        cacheHitKeys.push(item.cacheKey);
+      } else {
+        toClassify.push(item);
+      }
+    });
+
+    log(`📏 Decided by rules: ${ruleHits} tab(s)`);
+    log(`💾 Classification cache: ${cacheHitKeys.length} hit(s), ${toClassify.length} miss(es)`);
+
+    // Keep the entries just used from being evicted
+    if (cacheHitKeys.length > 0) {
+      await updateClassificationCache((stored) => {
+        cacheHitKeys.forEach((key) => {
+          if (stored[key]) stored[key].lastUsed = Date.now();
         });
       });
     }
 
-    // Store organized data for later use
-    organizedTabsData = classified.map((item) => ({
-      tabId: item.tabId,
-      title: item.title,
-      url: item.url,
-      label: item.label,
-      topic: item.topic,
-      body: item.body,
-    }));
+    // 5) Classify the remaining tabs
+    updateClusteringProgress('Classifying tabs...');
+    log('🔄 Classifying tabs...');
 
-    // 6) Group tabs directly by classification label (skip AI clustering for speed)
-    updateClusteringProgress('Grouping tabs by category...');
-    log('🔄 Grouping tabs by category...');
+    const context = { settings, taxonomy, version, classifiedById, runProgress };
+    lastRun = { extracted, context, makePlan, classifiedSoFar, clusters: null };
 
-    const labelGroups = {};
-    classified.forEach((item, idx) => {
-      const label = item.label || 'Other';
-      if (!labelGroups[label]) {
-        labelGroups[label] = [];
-      }
-      labelGroups[label].push(idx);
+    let stats;
+    try {
+      stats = await classifyItems(toClassify, { ...context, signal });
+    } catch (error) {
+      if (signal.aborted) return cancelled();
+      throw error;
+    }
+    logClassificationStats(stats, toClassify.length, classifyWith);
+
+    // Keep the original tab order
+    const classified = classifiedSoFar();
+
+    log('🏷️ Classification sources:');
+    classified.forEach((item) => {
+      log(` - [${item.source}] ${item.title || item.url} → ${item.label}`);
     });
 
-    // Create clusters structure for display
-    const clusters = Object.entries(labelGroups).map(([name, items]) => ({
-      name,
-      items
-    }));
+    // 6) In topic mode, cluster the classified tabs into finer named groups
+    let clusters = null;
+    if (settings.organise.mode === 'topic' && classified.length > 0 && !sessions.languageModel) {
+      log('ℹ️ Topic grouping needs the language model; grouping by category instead');
+    } else if (settings.organise.mode === 'topic' && classified.length > 0) {
+      updateClusteringProgress('Clustering tabs by topic...');
+      log('🔄 Clustering tabs by topic...');
+      // Clustering runs in its own clone so its prompts never build up in the shared session
+      let clusterSession = null;
+      try {
+        clusterSession = await sessions.languageModel.clone({ signal });
+        const { clusters: topicClusters, report } = await clusterTabs(
+          clusterSession,
+          classified,
+          updateClusteringProgress,
+          taxonomy,
+          {
+            maxGroups: settings.organise.maxTopicGroups,
+            minGroupSize: settings.organise.minTopicGroupSize,
+            signal,
+          },
+        );
+        if (report.missing || report.duplicates || report.invalid) {
+          log(
+            `⚠️ Fixed cluster output: ${report.missing} missing, ${report.duplicates} duplicate, ${report.invalid} unknown tab ID(s)`,
+          );
+        }
+        if (report.repaired) log('🩹 Cluster output was repaired after one retry');
+        if (report.fallback) log(`🩹 Cluster output still invalid after retry (${report.fallbackReason}); patched it`);
+        if (report.folded) {
+          log(`ℹ️ ${report.folded} tab(s) from small or surplus clusters moved to the fallback group`);
+        }
+        clusters = topicClusters;
+        lastRun.clusters = clusters;
+      } catch (error) {
+        // Every tab is classified; cancelling only skips the topic clustering
+        if (signal.aborted) return cancelled();
+        log(`⚠️ Topic clustering failed (${error.message}); grouping by category instead`);
+      } finally {
+        clusterSession?.destroy();
+      }
+    }
 
-    // 7) Map clusters to tabIds for Chrome grouping
-    const groups = clusters.map((c) => ({
-      name: c.name,
-      tabIds: c.items.map(id => classified[id]?.tabId).filter(Boolean),
-    }));
+    // 7) Build an editable plan from the categories or topic clusters
+    const plan = makePlan(classified, clusters);
+    log(`✅ Proposed ${plan.categories.length} groups from classifications`);
+
+    return { success: true, plan };
+  } catch (error) {
+    if (signal.aborted) return { success: false, cancelled: true, plan: null, classifiedCount: 0 };
+    log(`❌ Error during clustering: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Applies a reviewed plan: ungroups, closes the approved duplicates and creates the groups
+ * @param {Object} plan - Plan edited in the preview
+ * @returns {Promise<{success: boolean, clusters?: Array, groupResults?: Array, error?: string}>}
+ */
+async function applyTidyPlan(plan) {
+  try {
+    const { closeTabIds, clusters, groups, organizedTabsData: planTabs, ungroupedKept } = resolvePlan(plan);
+
+    // Store organized data for later use
+    organizedTabsData = planTabs;
 
-    log(`✅ Created ${groups.length} groups from classifications`);
+    // 0) Snapshot every window so the tidy can be undone
+    const snapshot = await chrome.runtime.sendMessage({ type: 'SNAPSHOT_WINDOWS' });
+    if (!snapshot?.ok) throw new Error(`Could not snapshot windows: ${snapshot?.error || 'Unknown error'}`);
+    refreshUndoButton();
 
-    // 8) Create Chrome tab groups
+    // 1) Get existing groups and ungroup if necessary; incremental mode keeps them
+    const existingGroups = plan.incremental ? null : await chrome.runtime.sendMessage({ type: 'GET_EXISTING_GROUPS' });
+    if (existingGroups?.ok && existingGroups.groups.length > 0) {
+      updateClusteringProgress('Ungrouping existing groups...');
+      log('🔄 Ungrouping existing groups...');
+      await chrome.runtime.sendMessage({
+        type: 'UNGROUP_ALL',
+        keepGroupIds: plan.keepGroupIds,
+        ...(plan.scope === 'current' ? { windowId: plan.windowId } : {}),
+      });
+      // Clear UI display of old groups
+      document.getElementById('results').style.display = 'none';
+    }
+
+    // 2) Close the duplicates the user kept ticked
+    if (closeTabIds.length > 0) {
+      updateClusteringProgress('Closing duplicate tabs...');
+      log('🔄 Closing duplicate tabs...');
+      const dedupe = await chrome.runtime.sendMessage({ type: 'DEDUPLICATE_TABS', tabIds: closeTabIds });
+      if (dedupe?.ok) {
+        log(`✅ Closed duplicates: ${dedupe.closed}`);
+        dedupe.closedTabs.forEach((closed) => {
+          const planned = plan.duplicates.find((d) => d.tabId === closed.tabId);
+          log(` - ${closed.title || closed.url}: ${planned?.reason || closed.reason}`);
+        });
+      }
+    }
+
+    // 3) Create Chrome tab groups
     updateClusteringProgress('Creating tab groups...');
     log('🔄 Creating Chrome tab groups...');
 
-    const groupRes = await chrome.runtime.sendMessage({ type: 'GROUP_TABS', groups });
+    const groupRes = await chrome.runtime.sendMessage({
+      type: 'GROUP_TABS',
+      groups,
+      scope: plan.scope,
+      windowId: plan.windowId,
+      joinExisting: plan.incremental,
+    });
 
     if (groupRes?.ok) {
       log(`✅ Created ${groupRes.results?.length || 0} groups:`);
       groupRes.results?.forEach((g) => {
         if (g.error) log(` - ${g.name}: error ${g.error}`);
+        else if (g.windows?.some((w) => w.joined)) log(` - ${g.name}: ${g.count} tab(s) added to the existing group`);
         else log(` - ${g.name}: ${g.count} tab(s)`);
       });
 
-      displayGroupResults(clusters, groupRes.results, organizedTabsData, sessions, log);
+      const moved = (groupRes.results || []).flatMap((g) => g.windows || []).reduce((sum, w) => sum + w.moved, 0);
+      if (moved > 0) log(`🪟 Moved ${moved} tab(s) into this window`);
+
+      if (ungroupedKept.length > 0) {
+        log(`ℹ️ ${ungroupedKept.length} tab(s) kept in place of duplicates weren't classified, so they stay ungrouped:`);
+        ungroupedKept.forEach((k) => {
+          const copies = [k.closed && `${k.closed} copy(ies) closed`, k.keptOpen && `${k.keptOpen} left open`];
+          log(` - ${k.title || `tab ${k.tabId}`}: ${copies.filter(Boolean).join(', ')}`);
+        });
+      }
+
+      displayGroupResults(clusters, groupRes.results, organizedTabsData, ai, log, {
+        currentWindowId: groupRes.currentWindowId,
+      });
 
       updateClusteringProgress('Complete');
       log('🎉 Clustering and grouping completed successfully!');
@@ -334,6 +1047,13 @@ document.addEventListener('click', function (e) {
     ungroupCategory(categoryName, e.target, log);
   }
 
+  if (e.target.classList.contains('archive-btn')) {
+    // Keep the click from toggling the group's <details>
+    e.preventDefault();
+    const groupIds = e.target.dataset.groupIds.split(',').filter(Boolean).map(Number);
+    archiveGroups(groupIds, e.target, log);
+  }
+
   // Handle URL clicks to switch to tab
   const urlLink = e.target.closest('.url-item-link');
   if (urlLink && urlLink.dataset.tabId) {
@@ -0,0 +1,217 @@
+// Stale Tabs Module
+// Finds tabs that haven't been looked at in a while and offers bulk actions on them
+import { getSettings } from '../shared/settings.js';
+import { getTaxonomy, getTaxonomyVersion } from '../shared/taxonomy.js';
+import { getRules, compileRules, matchRule } from '../shared/classificationRules.js';
+import { getCacheKey, loadClassificationCache, getCachedClassification } from '../shared/classificationCache.js';
+import { CLASSIFICATION_VERSION } from '../shared/tabClassifier.js';
+
+// Group that "Move to Archive group" files tabs into
+export const ARCHIVE_GROUP_TITLE = 'Archive';
+
+// Tabs that only the model could classify are listed here; scanning never calls the model
+const UNCLASSIFIED = 'Unclassified';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STALE_ACTIONS = {
+  close: 'Close',
+  discard: 'Discard',
+  bookmark: 'Bookmark',
+  archive: `Move to ${ARCHIVE_GROUP_TITLE} group`,
+};
+
+/**
+ * Formats a tab's age for display
+ * @param {number} ms - Milliseconds since the tab was last accessed
+ * @returns {string} e.g. "3 hours", "12 days"
+ */
+export function formatAge(ms) {
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.floor(ms / DAY_MS);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Picks tabs not accessed within the period, leaving protected tabs out
+ * @param {Array} tabs - Tabs from GET_TABS
+ * @param {Object} options
+ * @param {number} options.days - Tabs untouched for longer than this are stale
+ * @param {Object} options.protect - {pinned, audible, userGroups} flags from the stale settings
+ * @param {Set<number>} options.userGroupIds - Groups the user made (not Tab Tidy)
+ * @param {number} [options.now] - Current time
+ * @returns {{stale: Array, protectedCount: number}} Stale tabs, oldest first, and how many were protected
+ */
+export function findStaleTabs(tabs, { days, protect, userGroupIds, now = Date.now() }) {
+  const cutoff = now - days * DAY_MS;
+  const stale = [];
+  let protectedCount = 0;
+
+  tabs.forEach((tab) => {
+    // Tabs Chrome hasn't recorded an access time for are treated as fresh
+    if (tab.active || !tab.lastAccessed || tab.lastAccessed > cutoff) return;
+
+    const isProtected =
+      (protect.pinned && tab.pinned) ||
+      (protect.audible && tab.audible) ||
+      (protect.userGroups && userGroupIds.has(tab.groupId));
+    if (isProtected) {
+      protectedCount++;
+      return;
+    }
+
+    stale.push({
+      tabId: tab.id,
+      title: tab.title || '',
+      url: tab.url,
+      windowId: tab.windowId,
+      groupId: tab.groupId,
+      discarded: Boolean(tab.discarded),
+      ageMs: now - tab.lastAccessed,
+    });
+  });
+
+  stale.sort((a, b) => b.ageMs - a.ageMs);
+  return { stale, protectedCount };
+}
+
+/**
+ * Groups stale tabs by category using rules and cached classifications only
+ * @param {Array} stale - Tabs from findStaleTabs, oldest first
+ * @returns {Promise<Array<{name: string, tabs: Array}>>} Categories, the one with the oldest tab first
+ */
+export async function categorizeStaleTabs(stale) {
+  const settings = await getSettings();
+  const taxonomy = await getTaxonomy();
+  const rules = compileRules(await getRules(), taxonomy);
+  const version = `${CLASSIFICATION_VERSION}:${getTaxonomyVersion(taxonomy)}`;
+  const cache = await loadClassificationCache();
+
+  const categories = new Map();
+  stale.forEach((tab) => {
+    const ruleMatch = matchRule(tab, rules);
+    const cached = ruleMatch
+      ? null
+      : getCachedClassification(cache, getCacheKey(tab.url, tab.title, settings.dedupe.siteRules), version);
+    const name = ruleMatch?.category || cached?.label || UNCLASSIFIED;
+
+    if (!categories.has(name)) categories.set(name, { name, tabs: [] });
+    categories.get(name).tabs.push(tab);
+  });
+
+  // Tabs are already oldest first, so insertion order puts the oldest category first
+  return [...categories.values()];
+}
+
+/**
+ * Counts how many of the selected tabs each action would change
+ * @param {Array} tabs - Selected stale tabs
+ * @param {Set<number>} archiveGroupIds - IDs of existing Archive groups
+ * @returns {{close: number, discard: number, bookmark: number, archive: number}} Counts per action
+ */
+export function countAffected(tabs, archiveGroupIds) {
+  return {
+    close: tabs.length,
+    discard: tabs.filter((tab) => !tab.discarded).length,
+    bookmark: tabs.length,
+    archive: tabs.filter((tab) => !archiveGroupIds.has(tab.groupId)).length,
+  };
+}
+
+/**
+ * Renders stale tabs by category, each with a checkbox; everything starts selected
+ * @param {Array} categories - Categories from categorizeStaleTabs
+ * @param {HTMLElement} container - Element to render into
+ * @param {Set<number>} selected - Selected tab IDs; updated as boxes are ticked
+ * @param {Function} onChange - Called after the selection changes
+ */
+export function renderStaleTabs(categories, container, selected, onChange) {
+  container.innerHTML = '';
+
+  categories.forEach((category) => {
+    const categoryDiv = document.createElement('div');
+    categoryDiv.className = 'preview-category';
+
+    const header = document.createElement('label');
+    header.className = 'preview-category-header stale-category-header';
+
+    const allBox = document.createElement('input');
+    allBox.type = 'checkbox';
+    allBox.checked = category.tabs.every((tab) => selected.has(tab.tabId));
+
+    const name = document.createElement('strong');
+    name.textContent = category.name;
+
+    const countBadge = document.createElement('span');
+    countBadge.className = 'count-badge';
+    countBadge.textContent = `${category.tabs.length} tabs`;
+
+    header.append(allBox, name, countBadge);
+    categoryDiv.appendChild(header);
+
+    const boxes = category.tabs.map((tab) => {
+      const row = document.createElement('label');
+      row.className = 'preview-tab stale-tab';
+
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = selected.has(tab.tabId);
+      box.addEventListener('change', () => {
+        if (box.checked) selected.add(tab.tabId);
+        else selected.delete(tab.tabId);
+        allBox.checked = category.tabs.every((t) => selected.has(t.tabId));
+        onChange();
+      });
+
+      const title = document.createElement('span');
+      title.className = 'url-title';
+      title.textContent = tab.title || tab.url;
+      title.title = tab.url;
+
+      const age = document.createElement('span');
+      age.className = 'stale-age';
+      age.textContent = formatAge(tab.ageMs);
+
+      row.append(box, title, age);
+      categoryDiv.appendChild(row);
+      return box;
+    });
+
+    allBox.addEventListener('change', () => {
+      category.tabs.forEach((tab) => (allBox.checked ? selected.add(tab.tabId) : selected.delete(tab.tabId)));
+      boxes.forEach((box) => {
+        box.checked = allBox.checked;
+      });
+      onChange();
+    });
+
+    container.appendChild(categoryDiv);
+  });
+}
+
+/**
+ * Finds stale tabs in every window
+ * @returns {Promise<{categories: Array, tabs: Array, protectedCount: number, archiveGroupIds: Set<number>}>}
+ */
+export async function scanStaleTabs() {
+  const { stale: staleSettings } = await getSettings();
+
+  const [tabsRes, groupsRes] = await Promise.all([
+    chrome.runtime.sendMessage({ type: 'GET_TABS' }),
+    chrome.runtime.sendMessage({ type: 'GET_EXISTING_GROUPS' }),
+  ]);
+  if (!tabsRes?.ok) throw new Error(tabsRes?.error || 'Failed to read tabs');
+  const groups = groupsRes?.ok ? groupsRes.groups : [];
+
+  const userGroupIds = new Set(groups.filter((g) => !g.createdByTidy).map((g) => g.id));
+  const archiveGroupIds = new Set(groups.filter((g) => g.title === ARCHIVE_GROUP_TITLE).map((g) => g.id));
+
+  const { stale, protectedCount } = findStaleTabs(tabsRes.tabs, {
+    days: staleSettings.days,
+    protect: staleSettings.protect,
+    userGroupIds,
+  });
+
+  return { categories: await categorizeStaleTabs(stale), tabs: stale, protectedCount, archiveGroupIds };
+}
@@ -0,0 +1,18 @@
+// Streaming Helpers
+// Shared by the summaries, overviews and group Q&A
+
+/**
+ * Reads a streamed model response, reporting the text so far after every chunk
+ * Older Chrome builds stream the whole response so far; newer ones stream only the new text
+ * @param {ReadableStream<string>} stream - Stream from promptStreaming/summarizeStreaming/writeStreaming
+ * @param {Function} onText - Called with the full text so far
+ * @returns {Promise<string>} Complete text
+ */
+export async function readTextStream(stream, onText) {
+  let text = '';
+  for await (const piece of stream) {
+    text = piece.startsWith(text) ? piece : text + piece;
+    onText(text);
+  }
+  return text;
+}
@@ -1,6 +1,10 @@
 // UI Rendering Module
 import DOMPurify from 'dompurify';
 import { marked } from 'marked';
+import { EXPORT_TYPES, downloadGroups } from './exportFormats.js';
+import { createGroupChat } from './groupChat.js';
+import { readTextStream } from './streaming.js';
+import { summarizeGroup, renderSummaryCoverage } from './groupSummary.js';
 
 // Cache frequently accessed DOM elements
 let cachedElements = null;
@@ -19,6 +23,9 @@ function getCachedElements() {
   return cachedElements;
 }
 
+// Groups shown in the results card, with any summaries generated so far, for export
+let exportGroups = [];
+
 // Chrome group color mapping
 function getChromeGroupColor(chromeColor) {
   const colorMap = {
@@ -46,11 +53,11 @@ function shortenUrl(url) {
   }
 }
 
-// Escape HTML for safe display
+// Escape HTML for safe display, including inside quoted attributes
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // Get status class for group
@@ -72,8 +79,164 @@ function getTabsForGroup(originalGroup, organizedTabsData) {
     .filter(Boolean);
 }
 
+// Number windows in a stable order so "Window 2" means the same window everywhere
+function getWindowLabeler(groupResults, currentWindowId) {
+  const windowIds = [
+    ...new Set(groupResults.flatMap((result) => (result.windows || []).map((w) => w.windowId))),
+  ].sort((a, b) => a - b);
+
+  return (windowId) => {
+    const label = `Window ${windowIds.indexOf(windowId) + 1}`;
+    return windowId === currentWindowId ? `${label} (this one)` : label;
+  };
+}
+
+// Summary chips with the tab and group count of each window
+function createWindowSummary(groupResults, labelWindow) {
+  const totals = new Map();
+  groupResults.forEach((result) => {
+    (result.windows || []).forEach((w) => {
+      const total = totals.get(w.windowId) || { tabs: 0, groups: 0 };
+      total.tabs += w.count;
+      total.groups += 1;
+      totals.set(w.windowId, total);
+    });
+  });
+
+  const summaryDiv = document.createElement('div');
+  summaryDiv.className = 'window-summary';
+  [...totals.entries()]
+    .sort(([a], [b]) => a - b)
+    .forEach(([windowId, total]) => {
+      const chip = document.createElement('span');
+      chip.className = 'window-chip';
+      chip.textContent = `${labelWindow(windowId)}: ${total.tabs} tabs in ${total.groups} groups`;
+      summaryDiv.appendChild(chip);
+    });
+  return summaryDiv;
+}
+
+// Extract page content for every tab in a group; tabs that fail keep just their title and URL
+async function extractGroupContent(groupTabs) {
+  return Promise.all(
+    groupTabs.map(async (tab) => {
+      try {
+        const timeoutPromise = new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Timeout')), 10000)
+        );
+        const extractPromise = chrome.runtime.sendMessage({
+          type: 'EXTRACT_TAB_CONTENT',
+          tabId: tab.tabId,
+        });
+        const response = await Promise.race([extractPromise, timeoutPromise]);
+
+        if (response?.ok) {
+          const { body, description, headings, lang, wordCount } = response.result;
+          return { ...tab, body, description, headings, lang, wordCount };
+        }
+        return tab; // Return without body if extraction fails
+      } catch (error) {
+        return tab; // Return without body on timeout/error
+      }
+    })
+  );
+}
+
+const renderMarkdown = (el, text) => {
+  el.innerHTML = DOMPurify.sanitize(marked.parse(text));
+};
+
+/**
+ * Stop and Regenerate controls for a streamed summary or overview
+ * @param {HTMLElement} textEl - Element the markdown is rendered into as it streams
+ * @param {Function} generate - (signal, onText) => Promise<string>
+ * @param {Object} options
+ * @param {string} options.label - What is generated, e.g. "summary"
+ * @param {Function} [options.onDone] - Called with the finished text
+ * @param {Function} [options.log] - Activity log callback
+ * @returns {{controls: HTMLElement, start: Function}} Controls row and a function that (re)starts generation
+ */
+function createGenerationControls(textEl, generate, { label, onDone, log }) {
+  const controls = document.createElement('div');
+  controls.className = 'generation-controls';
+  controls.innerHTML = `
+    <button class="export-btn" data-role="stop" disabled>Stop</button>
+    <button class="export-btn" data-role="regenerate" disabled>Regenerate</button>
+  `;
+  const stopBtn = controls.querySelector('[data-role="stop"]');
+  const regenerateBtn = controls.querySelector('[data-role="regenerate"]');
+  let controller = null;
+
+  const start = async () => {
+    controller?.abort();
+    const current = new AbortController();
+    controller = current;
+    stopBtn.disabled = false;
+    regenerateBtn.disabled = true;
+    textEl.textContent = `Generating ${label}...`;
+
+    let partial = '';
+    try {
+      const text = await generate(current.signal, (soFar) => {
+        partial = soFar;
+        renderMarkdown(textEl, soFar);
+      });
+      if (!text) throw new Error('the model returned nothing');
+      renderMarkdown(textEl, text);
+      onDone?.(text);
+    } catch (error) {
+      if (current.signal.aborted) {
+        // Keep whatever arrived before Stop was pressed
+        if (partial) renderMarkdown(textEl, `${partial}\n\n*Stopped.*`);
+        else textEl.textContent = 'Stopped.';
+      } else {
+        textEl.textContent = `${label[0].toUpperCase()}${label.slice(1)} unavailable`;
+        log?.(`⚠️ ${label[0].toUpperCase()}${label.slice(1)} generation failed: ${error.message}`);
+      }
+    } finally {
+      if (controller === current) {
+        controller = null;
+        stopBtn.disabled = true;
+        regenerateBtn.disabled = false;
+      }
+    }
+  };
+
+  stopBtn.addEventListener('click', () => controller?.abort());
+  regenerateBtn.addEventListener('click', start);
+
+  return { controls, start };
+}
+
+// Row of export buttons, one per format
+function createExportRow(getGroups, baseName) {
+  const row = document.createElement('div');
+  row.className = 'export-row';
+  row.innerHTML = '<span class="export-label">Export:</span>';
+  Object.entries(EXPORT_TYPES).forEach(([type, { label }]) => {
+    const btn = document.createElement('button');
+    btn.className = 'export-btn';
+    btn.textContent = label;
+    btn.addEventListener('click', () => downloadGroups(getGroups(), type, baseName));
+    row.appendChild(btn);
+  });
+  return row;
+}
+
+/**
+ * Downloads every group in the results card
+ * @param {'markdown'|'json'|'bookmarks'} type - Export type
+ * @returns {number} Number of groups exported
+ */
+export function exportAllGroups(type) {
+  if (exportGroups.length > 0) {
+    downloadGroups(exportGroups, type, `Tab Tidy ${new Date().toISOString().slice(0, 10)}`);
+  }
+  return exportGroups.length;
+}
+
 // Create a group item element
-export function createGroupItem(result, originalGroup, organizedTabsData, sessions, log) {
+export function createGroupItem(result, originalGroup, organizedTabsData, ai, log, labelWindow) {
   const groupDiv = document.createElement('div');
   groupDiv.className = `group-item ${getGroupStatus(result)}`;
 
@@ -85,16 +248,35 @@ export function createGroupItem(result, originalGroup, organizedTabsData, sessio
 
   const groupTabs = getTabsForGroup(originalGroup, organizedTabsData);
 
+  // Filled in with the summary and overview once they're generated
+  const exportGroup = {
+    name: result.name,
+    title: result.title || result.name,
+    color: result.color,
+    tabs: groupTabs.map((tab) => ({ title: tab.title, url: tab.url, label: tab.label, topic: tab.topic })),
+    summary: null,
+    overview: null,
+  };
+  exportGroups.push(exportGroup);
+
+  // Summaries and Q&A share one extraction per group, started on first use
+  let contentPromise = null;
+  const loadContent = () => {
+    contentPromise ??= extractGroupContent(groupTabs);
+    return contentPromise;
+  };
+
   const detailsElement = document.createElement('details');
   detailsElement.className = 'group-details';
 
   const summaryElement = document.createElement('summary');
   summaryElement.className = 'group-summary';
   summaryElement.innerHTML = `
-    <span class="group-name">${result.name}</span>
+    <span class="group-name">${escapeHtml(result.title || result.name)}</span>
     <div class="group-count">
       <span class="count-badge">${result.count || 0} tabs</span>
-      <button class="ungroup-btn" data-category="${result.name}">Ungroup</button>
+      <button class="archive-btn" data-group-ids="${(result.windows || []).map((w) => w.groupId).join(',')}">Bookmark &amp; close</button>
+      <button class="ungroup-btn" data-category="${escapeHtml(result.title || result.name)}">Ungroup</button>
       <span class="expand-icon">▼</span>
     </div>
   `;
@@ -114,17 +296,74 @@ export function createGroupItem(result, originalGroup, organizedTabsData, sessio
     contentDiv.appendChild(warningDiv);
   }
 
-  // Add summary if group has 5+ URLs
-  if (groupTabs && groupTabs.length >= 5) {
+  if (!result.error && groupTabs.length > 0) {
+    contentDiv.appendChild(createExportRow(() => [exportGroup], exportGroup.title));
+  }
+
+  // Per-window counts when the group spans windows
+  if (labelWindow && result.windows?.length > 1) {
+    const windowsDiv = document.createElement('div');
+    windowsDiv.className = 'group-windows';
+    windowsDiv.textContent = result.windows.map((w) => `${labelWindow(w.windowId)}: ${w.count}`).join(' · ');
+    contentDiv.appendChild(windowsDiv);
+  }
+
+  // Generated text only starts once it is looked at: the summary when the group is expanded,
+  // the overview when its section is opened
+  const startOnFirstOpen = (details, generation) => {
+    let started = false;
+    details.addEventListener('toggle', () => {
+      if (details.open && !started) {
+        started = true;
+        generation.start();
+      }
+    });
+  };
+
+  // Add summary if group has 5+ URLs and the Summarizer is available
+  const hasEnoughTabs = groupTabs && groupTabs.length >= 5;
+  if (hasEnoughTabs && ai?.isAvailable('summarizer')) {
     const summaryDiv = document.createElement('div');
     summaryDiv.className = 'group-summary-content';
     summaryDiv.innerHTML = `
       <div class="summary-header">Summary:</div>
-      <div class="summary-text">Generating summary...</div>
+      <div class="summary-text">Expand the group to generate a summary</div>
+      <div class="summary-coverage"></div>
     `;
     contentDiv.appendChild(summaryDiv);
 
-    // Create expandable overview section
+    const summaryGeneration = createGenerationControls(
+      summaryDiv.querySelector('.summary-text'),
+      async (signal, onText) => {
+        log?.(`🔄 Generating summary for ${result.name}...`);
+        const coverageEl = summaryDiv.querySelector('.summary-coverage');
+        coverageEl.innerHTML = '';
+        const [tabsWithContent, summarizer] = await Promise.all([loadContent(), ai.getSession('summarizer')]);
+        const summary = await generateGroupSummary(tabsWithContent, result.name, summarizer, {
+          signal,
+          onText,
+        });
+        renderSummaryCoverage(coverageEl, summary);
+        const skipped = summary.tabs.filter((tab) => tab.status === 'skipped').length;
+        if (summary.parts > 1) log?.(`📚 ${result.name}: too long for one pass, summarised in ${summary.parts} parts`);
+        if (skipped > 0) log?.(`⚠️ ${result.name}: ${skipped} tabs skipped as too long to summarise`);
+        return summary.summary;
+      },
+      {
+        label: 'summary',
+        log,
+        onDone: (summary) => {
+          exportGroup.summary = summary;
+          log?.(`✅ Summary generated for ${result.name}`);
+        },
+      },
+    );
+    summaryDiv.appendChild(summaryGeneration.controls);
+    startOnFirstOpen(detailsElement, summaryGeneration);
+  }
+
+  // Create expandable overview section when the Writer is available
+  if (hasEnoughTabs && ai?.isAvailable('writer')) {
     const overviewDetails = document.createElement('details');
     overviewDetails.className = 'overview-details';
 
@@ -138,83 +377,36 @@ export function createGroupItem(result, originalGroup, organizedTabsData, sessio
     const overviewContent = document.createElement('div');
     overviewContent.className = 'group-writer-content';
     overviewContent.innerHTML = `
-      <div class="writer-text">Generating content...</div>
+      <div class="writer-text">Generating overview...</div>
     `;
 
     overviewDetails.appendChild(overviewSummary);
     overviewDetails.appendChild(overviewContent);
     contentDiv.appendChild(overviewDetails);
 
-    // Generate both summary and content
-    (async () => {
-      if (log) {
-        log(`🔄 Extracting content for ${result.name} summary...`);
-      }
-
-      try {
-        // Extract content from tabs for better summaries
-        const tabsWithContent = await Promise.all(
-          groupTabs.map(async (tab) => {
-            try {
-              const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Timeout')), 10000)
-              );
-              const extractPromise = chrome.runtime.sendMessage({
-                type: 'EXTRACT_TAB_CONTENT',
-                tabId: tab.tabId,
-              });
-              const response = await Promise.race([extractPromise, timeoutPromise]);
-
-              if (response?.ok) {
-                return { ...tab, body: response.result.body };
-              }
-              return tab; // Return without body if extraction fails
-            } catch (error) {
-              return tab; // Return without body on timeout/error
-            }
-          })
-        );
-
-        if (log) {
-          log(`🔄 Generating summary and overview for ${result.name}...`);
-        }
-
-        const [summary, content] = await Promise.all([
-          generateGroupSummary(tabsWithContent, result.name, sessions.summarizer),
-          generateGroupContent(tabsWithContent, result.name, sessions.writer),
-        ]);
-
-        // Update summary
-        const summaryTextEl = summaryDiv.querySelector('.summary-text');
-        if (summary) {
-          summaryTextEl.innerHTML = DOMPurify.sanitize(marked.parse(summary));
-        } else {
-          summaryTextEl.textContent = 'Summary unavailable';
-          if (log) {
-            log(`⚠️ Summary generation failed for ${result.name}`);
-          }
-        }
-
-        // Update content
-        const contentTextEl = overviewContent.querySelector('.writer-text');
-        if (content) {
-          contentTextEl.innerHTML = DOMPurify.sanitize(marked.parse(content));
-        } else {
-          contentTextEl.textContent = 'Content unavailable';
-          if (log) {
-            log(`⚠️ Overview generation failed for ${result.name}`);
-          }
-        }
+    const overviewGeneration = createGenerationControls(
+      overviewContent.querySelector('.writer-text'),
+      async (signal, onText) => {
+        log?.(`🔄 Generating overview for ${result.name}...`);
+        const writer = await ai.getSession('writer');
+        return generateGroupContent(groupTabs, result.name, writer, { signal, onText });
+      },
+      {
+        label: 'overview',
+        log,
+        onDone: (overview) => {
+          exportGroup.overview = overview;
+          log?.(`✅ Overview generated for ${result.name}`);
+        },
+      },
+    );
+    overviewContent.appendChild(overviewGeneration.controls);
+    startOnFirstOpen(overviewDetails, overviewGeneration);
+  }
 
-        if (log && summary && content) {
-          log(`✅ Summary and overview generated for ${result.name}`);
-        }
-      } catch (error) {
-        if (log) {
-          log(`❌ Error generating summary/overview for ${result.name}: ${error.message}`);
-        }
-      }
-    })();
+  // Questions answered from the group's page content
+  if (!result.error && groupTabs.length > 0 && ai?.isAvailable('languageModel')) {
+    contentDiv.appendChild(createGroupChat(loadContent, ai, result.name, log));
   }
 
   // Add URL items
@@ -239,8 +431,17 @@ export function createGroupItem(result, originalGroup, organizedTabsData, sessio
   return groupDiv;
 }
 
-// Display group results
-export function displayGroupResults(clusters, groupResults, organizedTabsData, sessions, log) {
+/**
+ * Displays group results in the results card
+ * @param {Array} clusters - Clusters the groups were built from
+ * @param {Array} groupResults - GROUP_TABS results (one per cluster)
+ * @param {Array} organizedTabsData - Tab data indexed by cluster items
+ * @param {Object} ai - {isAvailable(type), getSession(type)}; sessions are created on first use
+ * @param {Function} log - Activity log callback
+ * @param {Object} [options]
+ * @param {number} [options.currentWindowId] - Window the side panel belongs to
+ */
+export function displayGroupResults(clusters, groupResults, organizedTabsData, ai, log, options = {}) {
   const elements = getCachedElements();
   const resultsContainer = elements.results;
   const groupsList = elements.groupsList;
@@ -251,6 +452,7 @@ export function displayGroupResults(clusters, groupResults, organizedTabsData, s
   }
 
   groupsList.innerHTML = '';
+  exportGroups = [];
 
   if (!groupResults || groupResults.length === 0) {
     resultsContainer.style.display = 'none';
@@ -263,9 +465,23 @@ export function displayGroupResults(clusters, groupResults, organizedTabsData, s
     ungroupBtn.disabled = !hasSuccessfulGroups;
   }
 
+  // Per-window counts once more than one window is involved
+  const labelWindow = getWindowLabeler(groupResults, options.currentWindowId);
+  const windowCount = new Set(groupResults.flatMap((r) => (r.windows || []).map((w) => w.windowId))).size;
+  if (windowCount > 1) {
+    groupsList.appendChild(createWindowSummary(groupResults, labelWindow));
+  }
+
   groupResults.forEach((result, index) => {
     const originalGroup = clusters[index];
-    const groupItem = createGroupItem(result, originalGroup, organizedTabsData, sessions, log);
+    const groupItem = createGroupItem(
+      result,
+      originalGroup,
+      organizedTabsData,
+      ai,
+      log,
+      windowCount > 1 ? labelWindow : null,
+    );
     groupsList.appendChild(groupItem);
   });
 
@@ -288,10 +504,11 @@ export function createExistingGroupItem(group) {
   const summaryElement = document.createElement('summary');
   summaryElement.className = 'group-summary';
   summaryElement.innerHTML = `
-    <span class="group-name">${group.title}</span>
+    <span class="group-name">${escapeHtml(group.title)}</span>
     <div class="group-count">
       <span class="count-badge">${group.tabs.length} tabs</span>
-      <button class="ungroup-btn" data-category="${group.title}">Ungroup</button>
+      <button class="archive-btn" data-group-ids="${group.id}">Bookmark &amp; close</button>
+      <button class="ungroup-btn" data-category="${escapeHtml(group.title)}">Ungroup</button>
       <span class="expand-icon">▼</span>
     </div>
   `;
@@ -299,6 +516,15 @@ export function createExistingGroupItem(group) {
   const contentDiv = document.createElement('div');
   contentDiv.className = 'urls-list';
 
+  const exportGroup = {
+    name: group.title,
+    title: group.title,
+    color: group.color,
+    tabs: group.tabs.map((tab) => ({ title: tab.title, url: tab.url })),
+  };
+  exportGroups.push(exportGroup);
+  contentDiv.appendChild(createExportRow(() => [exportGroup], exportGroup.title));
+
   group.tabs.forEach((tab) => {
     const urlItem = document.createElement('div');
     urlItem.className = 'url-item';
@@ -325,6 +551,7 @@ export function displayExistingGroups(groups) {
   const groupsList = elements.groupsList;
 
   groupsList.innerHTML = '';
+  exportGroups = [];
 
   groups.forEach((group) => {
     const groupItem = createExistingGroupItem(group);
@@ -334,6 +561,137 @@ export function displayExistingGroups(groups) {
   resultsContainer.style.display = 'block';
 }
 
+/**
+ * Renders saved workspaces with open, update, add-tab, rename and delete actions
+ * @param {Array} workspaces - Workspaces from getWorkspaces
+ * @param {Object} actions - Callbacks: open(workspace, target), update, addTab, rename(workspace, name), remove
+ */
+export function displayWorkspaces(workspaces, actions) {
+  const list = document.getElementById('workspaces-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (workspaces.length === 0) {
+    list.innerHTML = '<div class="workspace-empty">No saved workspaces yet</div>';
+    return;
+  }
+
+  workspaces.forEach((workspace) => {
+    const tabCount =
+      workspace.groups.reduce((sum, g) => sum + g.tabs.length, 0) + (workspace.tabs || []).length;
+
+    const item = document.createElement('div');
+    item.className = 'workspace-item';
+    item.innerHTML = `
+      <div class="workspace-header">
+        <span class="workspace-name">${escapeHtml(workspace.name)}</span>
+        <span class="workspace-meta">${workspace.groups.length} groups · ${tabCount} tabs · ${new Date(workspace.updated).toLocaleDateString()}</span>
+      </div>
+      <div class="workspace-groups">${workspace.groups.map((g) => escapeHtml(g.title)).join(', ')}</div>
+      <div class="workspace-actions">
+        <button class="btn-apply" data-action="open-new">Open in new window</button>
+        <button class="btn-secondary" data-action="open-here">Open here</button>
+        <button class="btn-secondary" data-action="update">Update from this window</button>
+        <button class="btn-secondary" data-action="add-tab">Add current tab</button>
+        <button class="btn-secondary" data-action="rename">Rename</button>
+        <button class="btn-secondary" data-action="delete">Delete</button>
+      </div>
+    `;
+
+    const on = (action, handler) => item.querySelector(`[data-action="${action}"]`).addEventListener('click', handler);
+    on('open-new', () => actions.open(workspace, 'new'));
+    on('open-here', () => actions.open(workspace, 'current'));
+    on('update', () => actions.update(workspace));
+    on('add-tab', () => actions.addTab(workspace));
+    on('delete', () => actions.remove(workspace));
+    on('rename', () => {
+      // Edit the name in place; Enter or leaving the field saves, Escape cancels
+      const nameEl = item.querySelector('.workspace-name');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'workspace-rename';
+      input.value = workspace.name;
+      nameEl.replaceWith(input);
+      input.focus();
+      input.select();
+
+      let done = false;
+      const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save && input.value.trim() && input.value.trim() !== workspace.name) {
+          actions.rename(workspace, input.value);
+        } else {
+          input.replaceWith(nameEl);
+        }
+      };
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+      });
+      input.addEventListener('blur', () => finish(true));
+    });
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Lists archived group folders, each with a Restore button
+ * @param {Array} archives - Folders from GET_ARCHIVES, newest first
+ * @param {Function} onRestore - Called with the archive to reopen as a tab group
+ */
+export function displayArchives(archives, onRestore) {
+  const list = document.getElementById('archives-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (archives.length === 0) {
+    list.innerHTML = '<div class="workspace-empty">Nothing archived yet</div>';
+    return;
+  }
+
+  archives.forEach((archive) => {
+    const item = document.createElement('div');
+    item.className = 'auto-file-item';
+    item.innerHTML = `
+      <span class="auto-file-text" title="${escapeHtml(archive.title)}">
+        ${escapeHtml(archive.title)} <span class="workspace-meta">· ${archive.count} tabs</span>
+      </span>
+      <button class="btn-secondary">Restore</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => onRestore(archive));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Shows tabs the background auto-filer moved, each with an Undo button
+ * @param {Array} entries - Entries from getAutoFiled, newest first
+ * @param {Function} onUndo - Called with the tab ID to move back out of its group
+ */
+export function displayAutoFiled(entries, onUndo) {
+  const notice = document.getElementById('auto-file-notice');
+  const list = document.getElementById('auto-file-list');
+  if (!notice || !list) return;
+
+  list.innerHTML = '';
+  entries.forEach((entry) => {
+    const item = document.createElement('div');
+    item.className = 'auto-file-item';
+    item.innerHTML = `
+      <span class="auto-file-text" title="${escapeHtml(entry.url)}">
+        ${escapeHtml(entry.title)} → <strong>${escapeHtml(entry.groupTitle || entry.category)}</strong>
+      </span>
+      <button class="btn-secondary">Undo</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => onUndo(entry.tabId));
+    list.appendChild(item);
+  });
+
+  notice.style.display = entries.length > 0 ? 'block' : 'none';
+}
+
 // Update clustering progress
 export function updateClusteringProgress(message) {
   const elements = getCachedElements();
@@ -365,35 +723,36 @@ export function setOverallStatus(message, type) {
   overallStatus.classList.add(type);
 }
 
-// Generate group summary using AI
-async function generateGroupSummary(groupTabs, groupName, summarizerSession) {
-  try {
-    const combinedContent = groupTabs
-      .map((tab) => `Title: ${tab.title}\nURL: ${tab.url}\nContent: ${tab.body || ''}`)
-      .join('\n\n---\n\n');
-
-    const summary = await summarizerSession.summarize(combinedContent, {
-      context: `These web pages are all related to ${groupName}. Summarize the key themes and topics.`,
-    });
-
-    return summary;
-  } catch (error) {
-    return 'Summary generation failed';
-  }
+/**
+ * Streams a summary of a group's tabs, split into parts when it exceeds the input quota
+ * @param {Array} groupTabs - Tabs with extracted content
+ * @param {string} groupName - Group name, used as context
+ * @param {Object} summarizerSession - Summarizer session
+ * @param {{signal: AbortSignal, onText: Function}} stream - Abort signal and partial-text callback
+ * @returns {Promise<{summary: string, parts: number, tabs: Array}>} Summary and which tabs it covers
+ */
+async function generateGroupSummary(groupTabs, groupName, summarizerSession, { signal, onText }) {
+  if (!summarizerSession) throw new Error('Summarizer session not available');
+  return summarizeGroup(summarizerSession, groupTabs, groupName, { signal, onText });
 }
 
-// Generate group content using AI
-async function generateGroupContent(groupTabs, groupName, writerSession) {
-  try {
-    const tabTitles = groupTabs.map((tab) => tab.title).join(', ');
-    const prompt = `Write a brief overview of these ${groupName} topics: ${tabTitles}`;
-
-    const content = await writerSession.write(prompt, {
-      context: `These are web pages about ${groupName} that a user has grouped together for research or reference.`,
-    });
-
-    return content;
-  } catch (error) {
-    return null;
-  }
+/**
+ * Streams a short written overview of a group from its tab titles
+ * @param {Array} groupTabs - Tabs in the group
+ * @param {string} groupName - Group name
+ * @param {Object} writerSession - Writer session
+ * @param {{signal: AbortSignal, onText: Function}} stream - Abort signal and partial-text callback
+ * @returns {Promise<string>} Complete overview
+ */
+async function generateGroupContent(groupTabs, groupName, writerSession, { signal, onText }) {
+  if (!writerSession) throw new Error('Writer session not available');
+
+  const tabTitles = groupTabs.map((tab) => tab.title).join(', ');
+  const prompt = `Write a brief overview of these ${groupName} topics: ${tabTitles}`;
+
+  const stream = writerSession.writeStreaming(prompt, {
+    context: `These are web pages about ${groupName} that a user has grouped together for research or reference.`,
+    signal,
+  });
+  return readTextStream(stream, onText);
 }
@@ -0,0 +1,132 @@
+// Workspace Management Module
+import {
+  getWorkspaces,
+  createWorkspace,
+  renameWorkspace,
+  replaceWorkspaceGroups,
+  addTabToWorkspace,
+  deleteWorkspace,
+  groupsToWorkspaceGroups,
+} from '../shared/workspaces.js';
+import { displayWorkspaces } from './uiRenderer.js';
+import { parseImport } from './exportFormats.js';
+
+// Groups in the side panel's window, in tab strip order
+async function readCurrentWindowGroups() {
+  const currentWindow = await chrome.windows.getCurrent();
+  const response = await chrome.runtime.sendMessage({ type: 'GET_EXISTING_GROUPS', windowId: currentWindow.id });
+  if (!response?.ok) throw new Error(response?.error || 'Could not read tab groups');
+  return groupsToWorkspaceGroups(response.groups);
+}
+
+// Show saved workspaces with their actions
+export async function loadWorkspaces(logCallback) {
+  try {
+    displayWorkspaces(await getWorkspaces(), {
+      open: (workspace, target) => openWorkspace(workspace, target, logCallback),
+      update: (workspace) => updateWorkspaceFromWindow(workspace, logCallback),
+      addTab: (workspace) => addCurrentTab(workspace, logCallback),
+      rename: (workspace, name) => runAction(() => renameWorkspace(workspace.id, name), logCallback),
+      remove: (workspace) => deleteSavedWorkspace(workspace, logCallback),
+    });
+  } catch (error) {
+    console.error('Error loading workspaces:', error);
+  }
+}
+
+// Run a storage change, then redraw the list
+async function runAction(action, logCallback) {
+  try {
+    await action();
+  } catch (error) {
+    logCallback(`Error updating workspace: ${error.message}`);
+  }
+  await loadWorkspaces(logCallback);
+}
+
+// Save the groups in the current window as a new workspace
+export async function saveCurrentWorkspace(name, logCallback) {
+  try {
+    const groups = await readCurrentWindowGroups();
+    if (groups.length === 0) {
+      logCallback('ℹ️ No tab groups in this window to save');
+      return false;
+    }
+    const workspace = await createWorkspace(name, groups);
+    const tabCount = groups.reduce((sum, g) => sum + g.tabs.length, 0);
+    logCallback(`💾 Saved workspace "${workspace.name}": ${groups.length} group(s), ${tabCount} tab(s)`);
+    await loadWorkspaces(logCallback);
+    return true;
+  } catch (error) {
+    logCallback(`Error saving workspace: ${error.message}`);
+    return false;
+  }
+}
+
+async function openWorkspace(workspace, target, logCallback) {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      type: 'OPEN_WORKSPACE',
+      workspace,
+      target,
+      windowId: currentWindow.id,
+    });
+    if (response?.ok) {
+      logCallback(
+        `📂 Opened "${workspace.name}" ${target === 'new' ? 'in a new window' : 'here'}: ${response.opened} tab(s), ${response.regrouped} group(s)`,
+      );
+    } else {
+      logCallback(`Error opening workspace: ${response?.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    logCallback(`Error opening workspace: ${error.message}`);
+  }
+}
+
+async function updateWorkspaceFromWindow(workspace, logCallback) {
+  await runAction(async () => {
+    const groups = await readCurrentWindowGroups();
+    if (groups.length === 0) throw new Error('no tab groups in this window');
+    await replaceWorkspaceGroups(workspace.id, groups);
+    logCallback(`🔄 Updated "${workspace.name}" from this window: ${groups.length} group(s)`);
+  }, logCallback);
+}
+
+async function addCurrentTab(workspace, logCallback) {
+  await runAction(async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) throw new Error('the current tab cannot be saved');
+    const group = tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE ? await chrome.tabGroups.get(tab.groupId) : null;
+    await addTabToWorkspace(workspace.id, tab, group?.title);
+    logCallback(`➕ Added "${tab.title || tab.url}" to "${workspace.name}"`);
+  }, logCallback);
+}
+
+async function deleteSavedWorkspace(workspace, logCallback) {
+  await runAction(async () => {
+    await deleteWorkspace(workspace.id);
+    logCallback(`🗑️ Deleted workspace "${workspace.name}"`);
+  }, logCallback);
+}
+
+// Open the groups in an exported JSON or bookmarks HTML file into the current window
+export async function importGroupsFile(file, logCallback) {
+  try {
+    const groups = parseImport(await file.text(), file.name);
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      type: 'OPEN_WORKSPACE',
+      workspace: { name: file.name, groups, tabs: [] },
+      target: 'current',
+      windowId: currentWindow.id,
+    });
+    if (response?.ok) {
+      logCallback(`📥 Imported ${file.name}: ${response.opened} tab(s) in ${response.regrouped} group(s)`);
+    } else {
+      logCallback(`Error importing ${file.name}: ${response?.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    logCallback(`Error importing ${file.name}: ${error.message}`);
+  }
+}